@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity 0.8.24;
+
+/// @title Disperse
+/// @notice Sends native currency to many recipients in a single transaction
+contract Disperse {
+    /// @notice Send each recipient its amount from the value attached to the call
+    /// @dev Reverts the whole call if any transfer fails, and refunds any leftover value to the sender
+    /// @param recipients Addresses to send to
+    /// @param values Amounts in wei, one per recipient
+    function disperseEther(
+        address[] calldata recipients,
+        uint256[] calldata values
+    ) external payable {
+        require(recipients.length == values.length, "Length mismatch");
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            (bool sent, ) = payable(recipients[i]).call{value: values[i]}("");
+            require(sent, "Transfer failed");
+        }
+
+        uint256 leftover = address(this).balance;
+        if (leftover > 0) {
+            (bool refunded, ) = payable(msg.sender).call{value: leftover}("");
+            require(refunded, "Refund failed");
+        }
+    }
+}
@@ -1,35 +1,61 @@
 import { logger } from "./logger.js";
 
 /**
- * Extract all unique addresses from a set of blocks
- * Gets both sender (from) and receiver (to) addresses
+ * Extract per-address activity from a set of blocks
+ * Counts transactions sent and received by each address, and the number of blocks it appears in
  *
  * @param {Array} blocks - Array of blocks with transactions
- * @returns {Array} Array of unique addresses
+ * @returns {Map<string, {sent: number, received: number, blocks: number}>} Activity by address
  */
-export function extractAddressesFromBlocks(blocks) {
-  const addresses = new Set();
+export function extractAddressActivity(blocks) {
+  const activity = new Map();
   let txCount = 0;
 
+  const getActivity = (address) => {
+    if (!activity.has(address)) {
+      activity.set(address, { sent: 0, received: 0, blocks: 0 });
+    }
+    return activity.get(address);
+  };
+
   for (const block of blocks) {
+    const addressesInBlock = new Set();
+
     for (const tx of block.transactions) {
       txCount++;
 
       if (tx.from) {
-        addresses.add(tx.from.toLowerCase());
+        const from = tx.from.toLowerCase();
+        getActivity(from).sent++;
+        addressesInBlock.add(from);
       }
 
       if (tx.to) {
-        addresses.add(tx.to.toLowerCase());
+        const to = tx.to.toLowerCase();
+        getActivity(to).received++;
+        addressesInBlock.add(to);
       }
     }
-  }
 
-  const uniqueAddresses = Array.from(addresses);
+    for (const address of addressesInBlock) {
+      activity.get(address).blocks++;
+    }
+  }
 
   logger.debug(
-    `Extracted ${uniqueAddresses.length} unique addresses from ${txCount} transactions`
+    `Extracted ${activity.size} unique addresses from ${txCount} transactions`
   );
 
-  return uniqueAddresses;
+  return activity;
+}
+
+/**
+ * Extract all unique addresses from a set of blocks
+ * Gets both sender (from) and receiver (to) addresses
+ *
+ * @param {Array} blocks - Array of blocks with transactions
+ * @returns {Array} Array of unique addresses
+ */
+export function extractAddressesFromBlocks(blocks) {
+  return Array.from(extractAddressActivity(blocks).keys());
 }
@@ -1,6 +1,6 @@
 import { config } from "./config.js";
 import { logger } from "./logger.js";
-import { publicClient } from "./blockMonitor.js";
+import { checkClient } from "./blockMonitor.js";
 import {
   isContractAddressInCache,
   getContractAddressFromCache,
@@ -9,6 +9,9 @@ import {
   addToWalletAddressCache,
   getCurrentWalletAddressCacheBatch,
 } from "./cacheManager.js";
+import { getClusterId } from "./sybilDetector.js";
+import { applyEligibilityRules } from "./eligibilityRules.js";
+import { incrementCounter } from "./metrics.js";
 
 /**
  * Check if an address is a contract
@@ -21,12 +24,15 @@ export async function isContractAddress(address) {
 
   if (isContractAddressInCache(normalizedAddress)) {
     logger.debug(`Cache hit for contract ${normalizedAddress}`);
+    incrementCounter("contract_checks_total", { result: "hit" });
     updateContractAddressCache(normalizedAddress);
     return getContractAddressFromCache(normalizedAddress);
   }
 
+  incrementCounter("contract_checks_total", { result: "miss" });
+
   try {
-    const code = await publicClient.getCode({
+    const code = await checkClient.getCode({
       address: address,
       blockTag: "latest",
     });
@@ -96,17 +102,107 @@ function shuffleAddresses(addresses) {
 }
 
 /**
- * Select random addresses from a list, excluding contracts addresses and recently selected wallet addresses
+ * Get the selection weight of an address from its activity, using the configured weighting curve
+ * 'linear' weighs by transaction count, 'log' dampens heavy users logarithmically,
+ * and 'capped' stops counting at activityWeightCap transactions
+ *
+ * @param {object} activity - Activity of the address
+ * @returns {number} Selection weight (at least 1)
+ */
+export function getActivityWeight(activity) {
+  const txCount = Math.max(1, activity.sent + activity.received);
+
+  switch (config.activityWeighting) {
+    case "log":
+      return 1 + Math.log(txCount);
+    case "capped":
+      return Math.min(txCount, config.activityWeightCap);
+    case "linear":
+    default:
+      return txCount;
+  }
+}
+
+/**
+ * Sample addresses without replacement, with chances proportional to their activity weight
+ * Uses exponential keys (Efraimidis-Spirakis): every address draws -ln(U) / weight and the lowest keys win
+ *
+ * @param {Array} addresses - Addresses to sample from
+ * @param {number} count - Number of addresses to sample
+ * @param {Map} activity - Activity by address
+ * @returns {Array} Sampled addresses
+ */
+function sampleWeightedAddresses(addresses, count, activity) {
+  const noActivity = { sent: 0, received: 0, blocks: 0 };
+
+  return addresses
+    .map((address) => ({
+      address,
+      key:
+        -Math.log(1 - Math.random()) /
+        getActivityWeight(activity.get(address.toLowerCase()) ?? noActivity),
+    }))
+    .sort((a, b) => a.key - b.key)
+    .slice(0, count)
+    .map(({ address }) => address);
+}
+
+/**
+ * Take addresses in order, keeping at most sybilMaxPerCluster addresses from each sybil cluster
+ * The limit is per batch, later batches can take addresses of the same clusters again
+ *
+ * @param {Array} addresses - Addresses in selection order
+ * @param {number} count - Number of addresses to take
+ * @returns {Array} Taken addresses
+ */
+function takeWithClusterLimit(addresses, count) {
+  const takenPerCluster = new Map();
+  const taken = [];
+  const skippedClusters = new Set();
+  let skipped = 0;
+
+  for (const address of addresses) {
+    if (taken.length >= count) {
+      break;
+    }
+
+    const clusterId = getClusterId(address);
+    if (clusterId) {
+      const clusterCount = takenPerCluster.get(clusterId) ?? 0;
+      if (clusterCount >= config.sybilMaxPerCluster) {
+        skipped++;
+        skippedClusters.add(clusterId);
+        continue;
+      }
+      takenPerCluster.set(clusterId, clusterCount + 1);
+    }
+
+    taken.push(address);
+  }
+
+  if (skipped > 0) {
+    logger.info(
+      `Skipped ${skipped} addresses from ${skippedClusters.size} sybil clusters over the per-cluster limit`
+    );
+  }
+
+  return taken;
+}
+
+/**
+ * Select random addresses from a list, excluding contracts addresses, recently selected wallet addresses and addresses failing the eligibility rules
  *
  * @param {Array} addresses - List of addresses to select from
  * @param {number} count - Number of addresses to select
+ * @param {Map} activity - Activity by address, used for weighted selection (optional)
  * @returns {Promise<Array>} Selected non-contract addresses
  */
 export async function selectRandomAddresses(
   addresses,
-  count = config.addressesPerBatch
+  count = config.addressesPerBatch,
+  activity = null
 ) {
-  const preFilteredAddresses = [];
+  let preFilteredAddresses = [];
   const unknownContractStatus = [];
 
   for (const address of addresses) {
@@ -183,10 +279,25 @@ export async function selectRandomAddresses(
     return [];
   }
 
-  shuffleAddresses(preFilteredAddresses);
+  // Eligibility rules run last, as they can need several RPC calls per address
+  preFilteredAddresses = await applyEligibilityRules(preFilteredAddresses);
+
+  if (preFilteredAddresses.length === 0) {
+    logger.info("No addresses passed the eligibility rules");
+    return [];
+  }
+
+  if (config.selectionMode === "weighted" && activity) {
+    preFilteredAddresses = sampleWeightedAddresses(
+      preFilteredAddresses,
+      preFilteredAddresses.length,
+      activity
+    );
+  } else {
+    shuffleAddresses(preFilteredAddresses);
+  }
 
-  const finalCount = Math.min(count, preFilteredAddresses.length);
-  const selected = preFilteredAddresses.slice(0, finalCount);
+  const selected = takeWithClusterLimit(preFilteredAddresses, count);
 
   selected.forEach((addr) => addToWalletAddressCache(addr));
 
@@ -0,0 +1,346 @@
+import http from "node:http";
+import crypto from "node:crypto";
+import dotenv from "dotenv";
+import { config } from "./config.js";
+import { validateConfig } from "./configLoader.js";
+import { logger } from "./logger.js";
+import { rescheduleTask } from "./timeManager.js";
+import {
+  getCurrentBatch,
+  getDropCount,
+  getPauseReason,
+  pauseDrops,
+  resumeDrops,
+} from "./batchManager.js";
+import {
+  getWalletAddressCacheSize,
+  getContractAddressCacheSize,
+} from "./cacheManager.js";
+import {
+  getLastProcessedBlock,
+  getBufferedBlockCount,
+  triggerDropNow,
+} from "./blockMonitor.js";
+import { getTransactionQueueLength } from "./tokenSender.js";
+import { getPendingDropCount } from "./confirmationTracker.js";
+import { getSenders } from "./senderPool.js";
+import { getBudgetStatus } from "./spendBudget.js";
+import {
+  getRewardAsset,
+  isNativeReward,
+  isNftReward,
+  formatRewardAmount,
+} from "./rewardAsset.js";
+import { getNftAwards, getNftInventoryStatus } from "./nftInventory.js";
+import { formatEther } from "viem";
+
+dotenv.config();
+
+// Settings that can be changed at runtime, with the scheduled tasks to reschedule for intervals
+const RUNTIME_SETTINGS = {
+  amountPerDrop: { tasks: [] },
+  amountRandomMin: { tasks: [] },
+  amountRandomMax: { tasks: [] },
+  addressesPerBatch: { tasks: [], isInteger: true },
+  dropInterval: { tasks: ["processDrop"] },
+  blockFetchInterval: { tasks: ["checkNewBlocks"] },
+  transactionProcessingInterval: { tasks: ["processTransactionQueue"] },
+  cacheCleanupInterval: { tasks: ["cacheCleanup"] },
+  confirmationPollInterval: { tasks: ["checkConfirmations"] },
+  stuckTransactionCheckInterval: { tasks: ["checkStuckTransactions"] },
+  logStatusInterval: {
+    tasks: [
+      "checkWalletBalance",
+      "logCacheStats",
+      "logSybilClusterStats",
+      "logRpcStatus",
+      "logRateLimiterStats",
+    ],
+  },
+};
+
+const MAX_BODY_SIZE = 10 * 1024;
+
+let server = null;
+
+/**
+ * Initialize the admin API server
+ * The server only starts if it is enabled and ADMIN_API_TOKEN is set
+ *
+ * @returns {Promise<void>}
+ */
+export async function initializeAdminServer() {
+  if (!config.adminApiEnabled) {
+    return;
+  }
+
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    logger.warn(
+      "Admin API is enabled but ADMIN_API_TOKEN is not set. Not starting it..."
+    );
+    return;
+  }
+
+  server = http.createServer((req, res) => {
+    handleRequest(req, res, token).catch((error) => {
+      logger.error(`Error handling admin API request: ${error.message}`);
+      sendJson(res, 500, { error: "Internal server error" });
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(config.adminApiPort, config.adminApiHost, resolve);
+  });
+
+  logger.info(
+    `Admin API listening on http://${config.adminApiHost}:${config.adminApiPort}`
+  );
+}
+
+/**
+ * Send a JSON response
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+  if (res.headersSent) {
+    return;
+  }
+
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Check the bearer token of a request in constant time
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} token - Expected token
+ * @returns {boolean} True if the request carries the token
+ */
+function isAuthorized(req, token) {
+  const [scheme, value] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !value) {
+    return false;
+  }
+
+  const expected = crypto.createHash("sha256").update(token).digest();
+  const actual = crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Read and parse a JSON request body
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} Parsed body (empty object if there is none)
+ */
+async function readJsonBody(req) {
+  let body = "";
+
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) {
+      throw new Error("Request body too large");
+    }
+  }
+
+  return body ? JSON.parse(body) : {};
+}
+
+/**
+ * Route an admin API request
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} token - Admin API token
+ * @returns {Promise<void>}
+ */
+async function handleRequest(req, res, token) {
+  if (!isAuthorized(req, token)) {
+    logger.warn(
+      `Unauthorized admin API request: ${req.method} ${req.url} from ${req.socket.remoteAddress}`
+    );
+    return sendJson(res, 401, { error: "Unauthorized" });
+  }
+
+  const url = new URL(req.url, "http://localhost");
+  const route = `${req.method} ${url.pathname}`;
+  logger.debug(`Admin API request: ${route}`);
+
+  switch (route) {
+    case "GET /status":
+      return sendJson(res, 200, getStatus());
+
+    case "GET /nft-awards":
+      if (!isNftReward()) {
+        return sendJson(res, 404, { error: "Not dropping NFTs" });
+      }
+
+      return sendJson(res, 200, {
+        awards: getNftAwards(url.searchParams.get("to")),
+      });
+
+    case "POST /pause":
+      pauseDrops("paused through the admin API");
+      return sendJson(res, 200, { paused: true });
+
+    case "POST /resume":
+      resumeDrops();
+      return sendJson(res, 200, { paused: false });
+
+    case "POST /drop":
+      if (getPauseReason() !== null) {
+        return sendJson(res, 409, {
+          error: `Drops are paused: ${getPauseReason()}`,
+        });
+      }
+
+      await triggerDropNow();
+      return sendJson(res, 200, { triggered: true });
+
+    case "PATCH /config": {
+      let changes;
+      try {
+        changes = await readJsonBody(req);
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message });
+      }
+
+      const error = validateSettings(changes);
+      if (error) {
+        return sendJson(res, 400, { error });
+      }
+
+      // The changes must also keep the rules between settings, e.g. cacheCleanupInterval <= dropInterval
+      const configErrors = validateConfig({ ...config, ...changes });
+      if (configErrors.length > 0) {
+        return sendJson(res, 400, { error: configErrors.join(". ") });
+      }
+
+      applySettings(changes);
+      return sendJson(res, 200, getRuntimeSettings());
+    }
+
+    default:
+      return sendJson(res, 404, { error: "Not found" });
+  }
+}
+
+/**
+ * Get the current values of the runtime settings
+ *
+ * @returns {object} Runtime settings
+ */
+function getRuntimeSettings() {
+  return Object.fromEntries(
+    Object.keys(RUNTIME_SETTINGS).map((name) => [name, config[name]])
+  );
+}
+
+/**
+ * Get the status of the running bot
+ *
+ * @returns {object} Status
+ */
+function getStatus() {
+  const senders = getSenders();
+  const totalBalance = senders.reduce(
+    (total, sender) => total + (sender.balance ?? 0n),
+    0n
+  );
+  const { type, address, symbol } = getRewardAsset();
+
+  return {
+    batch: getCurrentBatch(),
+    dropRounds: getDropCount(),
+    paused: getPauseReason() !== null,
+    pauseReason: getPauseReason(),
+    lastProcessedBlock: getLastProcessedBlock()?.toString() ?? null,
+    bufferedBlocks: getBufferedBlockCount(),
+    queuedBatches: getTransactionQueueLength(),
+    pendingDrops: getPendingDropCount(),
+    cache: {
+      walletAddresses: getWalletAddressCacheSize(),
+      contractAddresses: getContractAddressCacheSize(),
+    },
+    rewardAsset: { type, address, symbol },
+    wallets: senders.map((sender) => ({
+      address: sender.account.address,
+      balance: sender.balance === null ? null : formatEther(sender.balance),
+      ...(isNativeReward()
+        ? {}
+        : {
+            tokenBalance:
+              sender.tokenBalance === null
+                ? null
+                : formatRewardAmount(sender.tokenBalance),
+          }),
+      isLowOnFunds: sender.isLowOnFunds,
+    })),
+    totalBalance: formatEther(totalBalance),
+    budget: getBudgetStatus(),
+    ...(isNftReward() ? { nftInventory: getNftInventoryStatus() } : {}),
+    settings: getRuntimeSettings(),
+  };
+}
+
+/**
+ * Validate runtime setting changes
+ *
+ * @param {object} changes - Settings to change
+ * @returns {string|null} Error message, or null if the changes are valid
+ */
+function validateSettings(changes) {
+  if (
+    typeof changes !== "object" ||
+    changes === null ||
+    Array.isArray(changes)
+  ) {
+    return "Expected a JSON object of settings";
+  }
+
+  for (const [name, value] of Object.entries(changes)) {
+    const setting = RUNTIME_SETTINGS[name];
+
+    if (!setting) {
+      return `Unknown setting "${name}". Allowed: ${Object.keys(
+        RUNTIME_SETTINGS
+      ).join(", ")}`;
+    }
+
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+      return `Setting "${name}" must be a positive number`;
+    }
+
+    if (setting.isInteger && !Number.isInteger(value)) {
+      return `Setting "${name}" must be an integer`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply runtime setting changes and reschedule the tasks of changed intervals
+ *
+ * @param {object} changes - Validated settings to change
+ */
+function applySettings(changes) {
+  for (const [name, value] of Object.entries(changes)) {
+    if (config[name] === value) {
+      continue;
+    }
+
+    logger.info(`Admin API changed ${name} from ${config[name]} to ${value}`);
+    config[name] = value;
+
+    for (const taskName of RUNTIME_SETTINGS[name].tasks) {
+      rescheduleTask(taskName, value * 1000);
+    }
+  }
+}
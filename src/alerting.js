@@ -0,0 +1,222 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { scheduleTask } from "./timeManager.js";
+
+const WEBHOOK_TIMEOUT = 10 * 1000; // How long to wait for a webhook to respond (in milliseconds)
+
+// Alerts currently raised, by type
+const activeAlerts = new Map();
+
+let lastSeenBlock = null;
+let lastBlockProgressAt = Date.now();
+
+/**
+ * Get the webhook channels configured to receive alerts
+ * Each channel turns an alert into the request its webhook expects
+ *
+ * @returns {Array} Channels with a name, URL and payload builder
+ */
+function getChannels() {
+  const channels = [];
+
+  if (config.alertWebhookUrl) {
+    channels.push({
+      name: "webhook",
+      url: config.alertWebhookUrl,
+      buildPayload: (alert) => alert,
+    });
+  }
+
+  if (config.discordWebhookUrl) {
+    channels.push({
+      name: "Discord",
+      url: config.discordWebhookUrl,
+      buildPayload: (alert) => ({ content: formatAlert(alert) }),
+    });
+  }
+
+  if (config.telegramBotToken && config.telegramChatId) {
+    channels.push({
+      name: "Telegram",
+      url: `${config.telegramApiUrl}/bot${config.telegramBotToken}/sendMessage`,
+      buildPayload: (alert) => ({
+        chat_id: config.telegramChatId,
+        text: formatAlert(alert),
+      }),
+    });
+  }
+
+  return channels;
+}
+
+/**
+ * Initialize alerting and schedule the block monitor stall check
+ *
+ * @returns {void}
+ */
+export function initializeAlerting() {
+  const channels = getChannels();
+
+  if (channels.length === 0) {
+    logger.info("No alert webhooks configured. Alerting disabled");
+    return;
+  }
+
+  logger.info(
+    `Initializing alerting to ${channels
+      .map((channel) => channel.name)
+      .join(", ")}...`
+  );
+
+  lastBlockProgressAt = Date.now();
+
+  scheduleTask(
+    "checkBlockMonitorStall",
+    checkBlockMonitorStall,
+    config.alertCheckInterval * 1000
+  );
+}
+
+/**
+ * Format an alert as a chat message
+ *
+ * @param {object} alert - Alert to format
+ * @returns {string} Message
+ */
+function formatAlert(alert) {
+  return alert.status === "resolved"
+    ? `✅ MonDrop recovered (${alert.type}): ${alert.message}`
+    : `🚨 MonDrop alert (${alert.type}): ${alert.message}`;
+}
+
+/**
+ * Post an alert to all configured webhooks
+ * Failures are logged and never thrown, so alerting can't take the bot down
+ *
+ * @param {object} alert - Alert to post
+ * @returns {Promise<void>}
+ */
+async function postAlert(alert) {
+  await Promise.all(
+    getChannels().map(async (channel) => {
+      try {
+        const response = await fetch(channel.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(channel.buildPayload(alert)),
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+      } catch (error) {
+        logger.warn(
+          `Error posting ${alert.type} ${
+            alert.status === "resolved" ? "recovery" : "alert"
+          } to ${channel.name}: ${error.message}`
+        );
+      }
+    })
+  );
+}
+
+/**
+ * Raise an alert
+ * While the alert stays raised it is only posted again once alertCooldown has passed
+ *
+ * @param {string} type - Alert type (e.g. 'lowBalance', 'sendFailures', 'blockMonitorStalled', 'uncaughtException')
+ * @param {string} message - Description of the problem
+ * @returns {Promise<void>}
+ */
+export async function raiseAlert(type, message) {
+  const active = activeAlerts.get(type);
+  const now = Date.now();
+
+  if (active && now - active.lastPostedAt < config.alertCooldown * 1000) {
+    logger.debug(`Alert ${type} is cooling down. Not posting: ${message}`);
+    return;
+  }
+
+  activeAlerts.set(type, {
+    raisedAt: active?.raisedAt ?? now,
+    lastPostedAt: now,
+  });
+
+  if (getChannels().length === 0) {
+    return;
+  }
+
+  logger.debug(`Posting ${type} alert: ${message}`);
+
+  await postAlert({
+    type,
+    status: "alert",
+    message,
+    time: new Date(now).toISOString(),
+  });
+}
+
+/**
+ * Resolve an alert and post a recovery notice if it was raised
+ *
+ * @param {string} type - Alert type
+ * @param {string} message - Description of the recovery
+ * @returns {Promise<void>}
+ */
+export async function resolveAlert(type, message) {
+  const active = activeAlerts.get(type);
+
+  if (!active) {
+    return;
+  }
+
+  activeAlerts.delete(type);
+
+  if (getChannels().length === 0) {
+    return;
+  }
+
+  logger.debug(`Posting ${type} recovery: ${message}`);
+
+  await postAlert({
+    type,
+    status: "resolved",
+    message,
+    time: new Date().toISOString(),
+    raisedAt: new Date(active.raisedAt).toISOString(),
+  });
+}
+
+/**
+ * Alert when no new block has been processed for alertBlockStallTimeout, and recover once blocks come in again
+ *
+ * @returns {Promise<void>}
+ */
+async function checkBlockMonitorStall() {
+  // Import here to avoid circular dependency
+  const { getLastProcessedBlock } = await import("./blockMonitor.js");
+  const lastProcessedBlock = getLastProcessedBlock();
+
+  if (lastProcessedBlock !== lastSeenBlock) {
+    lastSeenBlock = lastProcessedBlock;
+    lastBlockProgressAt = Date.now();
+
+    await resolveAlert(
+      "blockMonitorStalled",
+      `Processing blocks again (last processed block: ${lastProcessedBlock})`
+    );
+    return;
+  }
+
+  const stalledFor = Math.round((Date.now() - lastBlockProgressAt) / 1000);
+
+  if (stalledFor >= config.alertBlockStallTimeout) {
+    await raiseAlert(
+      "blockMonitorStalled",
+      `No new blocks processed for ${stalledFor}s (last processed block: ${
+        lastProcessedBlock ?? "none"
+      })`
+    );
+  }
+}
@@ -1,7 +1,9 @@
 import { logger } from "./logger.js";
+import { getRewardAsset } from "./rewardAsset.js";
 
 let currentBatch;
 let dropCount;
+let pauseReason = null;
 
 /**
  * Initialize the batch manager
@@ -51,6 +53,41 @@ export function incrementBatch() {
  */
 export function incrementDropCount() {
   dropCount++;
-  logger.info(`Total $MON drop rounds: ${dropCount}`);
+  logger.info(`Total ${getRewardAsset().symbol} drop rounds: ${dropCount}`);
   return dropCount;
 }
+
+/**
+ * Pause drops until they are resumed
+ * Blocks keep being scanned while paused, but their addresses aren't dropped to
+ *
+ * @param {string} reason - Why drops are paused, shown in logs and the status
+ * @returns {void}
+ */
+export function pauseDrops(reason) {
+  pauseReason = reason;
+  logger.warn(`${getRewardAsset().symbol} drops paused: ${reason}`);
+}
+
+/**
+ * Resume paused drops
+ *
+ * @returns {void}
+ */
+export function resumeDrops() {
+  if (pauseReason === null) {
+    return;
+  }
+
+  pauseReason = null;
+  logger.info(`${getRewardAsset().symbol} drops resumed`);
+}
+
+/**
+ * Get why drops are paused
+ *
+ * @returns {string|null} Pause reason, or null if drops aren't paused
+ */
+export function getPauseReason() {
+  return pauseReason;
+}
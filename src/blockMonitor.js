@@ -1,7 +1,14 @@
 import { config } from "./config.js";
 import { logger } from "./logger.js";
-import { scheduleTask } from "./timeManager.js";
-import { createPublicClient, http, defineChain } from "viem";
+import {
+  scheduleTask,
+  clearScheduledTask,
+  triggerTaskNow,
+  wait,
+} from "./timeManager.js";
+import { createRpcTransport } from "./rpcPool.js";
+import { incrementCounter } from "./metrics.js";
+import { createPublicClient, webSocket, defineChain } from "viem";
 
 export const monadTestnet = defineChain({
   id: config.chainId,
@@ -20,25 +27,47 @@ export const monadTestnet = defineChain({
       http: [config.rpcUrl],
     },
   },
-  blockExplorers: {
-    default: {
-      name: "Monad Explorer",
-      url: config.blockExplorerUrl,
-    },
-  },
+  blockExplorers: config.blockExplorerUrl
+    ? {
+        default: {
+          name: config.blockExplorerName,
+          url: config.blockExplorerUrl,
+        },
+      }
+    : undefined,
 });
 
 export const publicClient = createPublicClient({
   chain: monadTestnet,
-  transport: http(),
+  transport: createRpcTransport("block"),
   batch: {
     batchSize: 10, // Don't change this unless you know what you're doing
   },
 });
 
+// Client for contract and eligibility checks, whose requests wait behind sends and block fetches
+export const checkClient = createPublicClient({
+  chain: monadTestnet,
+  transport: createRpcTransport("check"),
+});
+
 let lastProcessedBlock = null;
+let chainHead = null;
 let newBlocksBuffer = [];
+let processBlocks = null;
 let isProcessingBlocks = false;
+let isCheckingBlocks = false;
+let pendingHead = null;
+
+// WebSocket subscription state
+let webSocketClient = null;
+let webSocketRpcClient = null;
+let unwatchNewHeads = null;
+let lastHeadAt = null;
+let isResubscribing = false;
+
+// Hashes of the most recent blocks, to detect reorgs by their parent hash
+const recentBlockHashes = new Map();
 
 /**
  * Get the latest block number from the network
@@ -75,36 +104,227 @@ export async function getBlockByNumber(blockNumber) {
   }
 }
 
+/**
+ * Get a block by its number, retrying with exponential backoff on failure
+ * @param {bigint} blockNumber - Block number to fetch
+ * @returns {Promise<object>} Block with transactions
+ */
+async function getBlockWithRetry(blockNumber) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await getBlockByNumber(blockNumber);
+    } catch (error) {
+      if (attempt >= config.maxBlockFetchAttempts) {
+        throw error;
+      }
+
+      const delay = config.blockFetchRetryDelay * 2 ** (attempt - 1);
+      logger.debug(
+        `Attempt ${attempt}/${config.maxBlockFetchAttempts} to fetch block ${blockNumber} failed. Retrying in ${delay}s...`
+      );
+      await wait(delay * 1000);
+    }
+  }
+}
+
 /**
  * Get multiple blocks in a range
+ * Blocks are fetched blockFetchConcurrency at a time, and fetching stops at the first block that still fails after retries
  * @param {bigint} startBlock - Starting block number (inclusive)
  * @param {bigint} endBlock - Ending block number (inclusive)
- * @returns {Promise<Array>} Array of blocks with transactions
+ * @returns {Promise<Array>} Contiguous blocks with transactions from the start of the range, up to the first failed block
  */
 export async function getBlocksInRange(startBlock, endBlock) {
-  logger.block(`Fetching blocks from ${startBlock} to ${endBlock}...`);
+  logger.block(`Fetching blocks from ${startBlock} to ${endBlock}...`, {
+    block: endBlock,
+  });
+
+  const count = Number(endBlock - startBlock + 1n);
+  const blocks = new Array(count);
+  let nextIndex = 0;
+  let firstFailedIndex = count;
+
+  const fetchNextBlocks = async () => {
+    // Blocks after a failed one can't be used, so stop handing them out
+    while (nextIndex < firstFailedIndex) {
+      const index = nextIndex++;
+
+      try {
+        blocks[index] = await getBlockWithRetry(startBlock + BigInt(index));
+      } catch (error) {
+        firstFailedIndex = Math.min(firstFailedIndex, index);
+      }
+    }
+  };
 
-  const promises = [];
-  for (let i = startBlock; i <= endBlock; i++) {
-    promises.push(getBlockByNumber(i));
+  await Promise.all(
+    Array.from(
+      { length: Math.min(config.blockFetchConcurrency, count) },
+      fetchNextBlocks
+    )
+  );
+
+  if (firstFailedIndex < count) {
+    logger.warn(
+      `Fetched ${firstFailedIndex} of ${count} blocks in range, stopped at block ${
+        startBlock + BigInt(firstFailedIndex)
+      }. Fetching the rest on the next check...`
+    );
   }
 
-  try {
-    const blocks = await Promise.all(promises);
-    return blocks;
-  } catch (error) {
-    logger.error(`Error fetching blocks in range: ${error.message}`);
-    throw error;
+  return blocks.slice(0, firstFailedIndex);
+}
+
+/**
+ * Get the last block to fetch in one check, limited to maxBlocksPerCheck blocks
+ * @param {bigint} startBlock - First block to fetch
+ * @param {bigint} currentBlock - Latest block number
+ * @returns {bigint} Last block to fetch
+ */
+function getCheckEndBlock(startBlock, currentBlock) {
+  const maxEndBlock = startBlock + BigInt(config.maxBlocksPerCheck) - 1n;
+  return currentBlock < maxEndBlock ? currentBlock : maxEndBlock;
+}
+
+/**
+ * Remember the hashes of new blocks, keeping only the configured reorg window
+ * @param {Array} blocks - Blocks in ascending order
+ */
+function rememberBlockHashes(blocks) {
+  // The parent of the first block is known too, which gives a rollback target right after startup
+  if (blocks.length > 0 && !recentBlockHashes.has(blocks[0].number - 1n)) {
+    recentBlockHashes.set(blocks[0].number - 1n, blocks[0].parentHash);
+  }
+
+  for (const block of blocks) {
+    recentBlockHashes.set(block.number, block.hash);
+  }
+
+  const oldestKept = lastProcessedBlock - BigInt(config.reorgWindowSize) + 1n;
+  for (const blockNumber of recentBlockHashes.keys()) {
+    if (blockNumber < oldestKept) {
+      recentBlockHashes.delete(blockNumber);
+    }
+  }
+}
+
+/**
+ * Check if a block builds on the last processed block
+ * Always true when the hash of the last processed block isn't known (e.g. right after startup)
+ * @param {object} block - First new block
+ * @returns {boolean} True if the parent hash matches
+ */
+function isBlockOnKnownChain(block) {
+  const parentHash = recentBlockHashes.get(block.number - 1n);
+  return parentHash === undefined || parentHash === block.parentHash;
+}
+
+/**
+ * Keep the longest prefix of blocks that link to each other by parent hash
+ * A reorg in the middle of fetching a range breaks the chain, and the rest is fetched again on the next check
+ * @param {Array} blocks - Blocks in ascending order
+ * @returns {Array} Linked blocks
+ */
+function takeLinkedBlocks(blocks) {
+  for (let i = 1; i < blocks.length; i++) {
+    if (blocks[i].parentHash !== blocks[i - 1].hash) {
+      logger.warn(
+        `Block ${blocks[i].number} doesn't build on block ${
+          blocks[i - 1].number
+        }. Fetching it again on the next check...`
+      );
+      return blocks.slice(0, i);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Roll back to the common ancestor of the known chain and the canonical chain
+ * Buffered blocks after the ancestor are dropped so their addresses aren't used for drops,
+ * and the funding relationships learned from them are forgotten so they don't cluster addresses
+ * @returns {Promise<bigint>} Block number of the common ancestor
+ */
+async function rollbackToCommonAncestor() {
+  const knownBlockNumbers = [...recentBlockHashes.keys()].sort((a, b) =>
+    a < b ? 1 : a > b ? -1 : 0
+  );
+
+  let ancestor = null;
+  for (const blockNumber of knownBlockNumbers) {
+    const block = await publicClient.getBlock({ blockNumber });
+    if (block.hash === recentBlockHashes.get(blockNumber)) {
+      ancestor = blockNumber;
+      break;
+    }
+  }
+
+  if (ancestor === null) {
+    ancestor = knownBlockNumbers[knownBlockNumbers.length - 1] - 1n;
+    logger.warn(
+      `Reorg is deeper than the ${config.reorgWindowSize} block reorg window. Rolling back to block ${ancestor}...`
+    );
+  }
+
+  const depth = lastProcessedBlock - ancestor;
+  const orphanedBlocks = newBlocksBuffer.filter(
+    (block) => block.number > ancestor
+  );
+  newBlocksBuffer = newBlocksBuffer.filter((block) => block.number <= ancestor);
+
+  // Import here to avoid circular dependency
+  const { extractAddressesFromBlocks } = await import("./addressParser.js");
+  const { forgetFundingTransfersAfter } = await import("./sybilDetector.js");
+  const affectedAddresses = extractAddressesFromBlocks(orphanedBlocks).length;
+  const forgottenFundings = forgetFundingTransfersAfter(Number(ancestor));
+
+  for (const blockNumber of recentBlockHashes.keys()) {
+    if (blockNumber > ancestor) {
+      recentBlockHashes.delete(blockNumber);
+    }
+  }
+
+  logger.warn(
+    `Chain reorg detected: depth ${depth}, rolled back from block ${lastProcessedBlock} to ${ancestor}. Removed ${affectedAddresses} addresses from ${orphanedBlocks.length} orphaned blocks in the buffer and ${forgottenFundings} funding relationships learned from orphaned blocks`
+  );
+
+  if (orphanedBlocks.length < depth) {
+    logger.warn(
+      `${
+        depth - BigInt(orphanedBlocks.length)
+      } orphaned blocks were already used for drops and can't be rolled back`
+    );
   }
+
+  lastProcessedBlock = ancestor;
+  return ancestor;
 }
 
 /**
  * Check for new blocks and add them to the buffer
+ * Everything after the last processed block is fetched, so blocks missed in between checks are backfilled
+ * @param {bigint|null} latestBlock - Latest block number if already known (e.g. from a new head), fetched if null
  * @returns {Promise<void>}
  */
-export async function checkForNewBlocks() {
+export async function checkForNewBlocks(latestBlock = null) {
+  if (isCheckingBlocks) {
+    // The running check picks this head up when it's done
+    if (
+      latestBlock !== null &&
+      (pendingHead === null || latestBlock > pendingHead)
+    ) {
+      pendingHead = latestBlock;
+    }
+    return;
+  }
+
+  isCheckingBlocks = true;
   try {
-    const currentBlock = await getLatestBlockNumber();
+    const currentBlock = latestBlock ?? (await getLatestBlockNumber());
+    if (chainHead === null || currentBlock > chainHead) {
+      chainHead = currentBlock;
+    }
 
     if (lastProcessedBlock === null) {
       lastProcessedBlock = currentBlock;
@@ -117,10 +337,43 @@ export async function checkForNewBlocks() {
         `New blocks detected: ${lastProcessedBlock + 1n} to ${currentBlock}`
       );
 
-      const newBlocks = await getBlocksInRange(
-        lastProcessedBlock + 1n,
-        currentBlock
-      );
+      const missedBlocks = currentBlock - lastProcessedBlock;
+      if (
+        config.maxBackfillGap > 0 &&
+        missedBlocks > BigInt(config.maxBackfillGap)
+      ) {
+        logger.warn(
+          `${missedBlocks} blocks behind, more than the maximum backfill gap of ${config.maxBackfillGap}. Skipping to the chain head at block ${currentBlock}...`
+        );
+        lastProcessedBlock = currentBlock - 1n;
+      }
+
+      let endBlock = getCheckEndBlock(lastProcessedBlock + 1n, currentBlock);
+      let newBlocks = await getBlocksInRange(lastProcessedBlock + 1n, endBlock);
+
+      if (newBlocks.length > 0 && !isBlockOnKnownChain(newBlocks[0])) {
+        const ancestor = await rollbackToCommonAncestor();
+        endBlock = getCheckEndBlock(ancestor + 1n, currentBlock);
+        newBlocks = await getBlocksInRange(ancestor + 1n, endBlock);
+
+        if (newBlocks.length > 0 && !isBlockOnKnownChain(newBlocks[0])) {
+          logger.warn(
+            `Block ${newBlocks[0].number} doesn't build on the common ancestor at block ${ancestor}, the chain is still reorganizing. Fetching it again on the next check...`
+          );
+          return;
+        }
+      }
+
+      newBlocks = takeLinkedBlocks(newBlocks);
+
+      if (newBlocks.length === 0) {
+        logger.warn(
+          `Couldn't fetch block ${
+            lastProcessedBlock + 1n
+          }. Trying again on the next check...`
+        );
+        return;
+      }
 
       for (const block of newBlocks) {
         // Import here to avoid circular dependency
@@ -130,8 +383,13 @@ export async function checkForNewBlocks() {
         const { filterContractAddresses } = await import(
           "./addressSelector.js"
         );
+        const { recordFundingTransfers } = await import("./sybilDetector.js");
+
+        recordFundingTransfers(block);
 
         const addresses = extractAddressesFromBlocks([block]);
+        incrementCounter("blocks_processed_total");
+        incrementCounter("addresses_extracted_total", {}, addresses.length);
         if (addresses.length > 0) {
           filterContractAddresses(addresses).catch((err) => {
             logger.debug(
@@ -146,13 +404,180 @@ export async function checkForNewBlocks() {
         `Added ${newBlocks.length} blocks to buffer (Total buffer size: ${newBlocksBuffer.length} blocks)`
       );
 
-      lastProcessedBlock = currentBlock;
-      logger.block(`Processed addresses till block ${lastProcessedBlock}`);
+      lastProcessedBlock = newBlocks[newBlocks.length - 1].number;
+      rememberBlockHashes(newBlocks);
+      logger.block(`Processed addresses till block ${lastProcessedBlock}`, {
+        block: lastProcessedBlock,
+      });
+
+      if (lastProcessedBlock < currentBlock) {
+        logger.info(
+          `Catching up: ${
+            currentBlock - lastProcessedBlock
+          } blocks behind the chain head at block ${currentBlock}`
+        );
+      }
     } else {
       logger.block(`No new blocks since ${lastProcessedBlock}`);
     }
   } catch (error) {
     logger.error(`Error checking for new blocks: ${error.message}`);
+  } finally {
+    isCheckingBlocks = false;
+  }
+
+  if (pendingHead !== null) {
+    const head = pendingHead;
+    pendingHead = null;
+
+    if (head > lastProcessedBlock) {
+      await checkForNewBlocks(head);
+    }
+  }
+}
+
+/**
+ * Start polling for new blocks every blockFetchInterval
+ */
+function startPolling() {
+  scheduleTask(
+    "checkNewBlocks",
+    checkForNewBlocks,
+    config.blockFetchInterval * 1000
+  );
+}
+
+/**
+ * Subscribe to new heads over WebSocket and stop polling
+ * Throws if the socket can't be opened, so the caller can keep polling
+ * @returns {Promise<void>}
+ */
+async function subscribeToNewHeads() {
+  // viem's own reconnect gives up after a few attempts and keeps the dead socket cached, so reconnecting is handled here
+  webSocketClient = createPublicClient({
+    chain: monadTestnet,
+    transport: webSocket(config.wsRpcUrl, { reconnect: false }),
+  });
+
+  // Make sure the socket opens before relying on it
+  await webSocketClient.getBlockNumber();
+  webSocketRpcClient = await webSocketClient.transport.getRpcClient();
+
+  lastHeadAt = Date.now();
+  unwatchNewHeads = webSocketClient.watchBlockNumber({
+    onBlockNumber: (blockNumber) => {
+      lastHeadAt = Date.now();
+      logger.trace(`New head received: ${blockNumber}`);
+      checkForNewBlocks(blockNumber);
+    },
+    onError: (error) => handleSubscriptionDropped(error.message),
+  });
+
+  clearScheduledTask("checkNewBlocks");
+  clearScheduledTask("resubscribeNewHeads");
+
+  scheduleTask(
+    "checkNewHeadsTimeout",
+    async () => {
+      if (Date.now() - lastHeadAt > config.wsHeadTimeout * 1000) {
+        await handleSubscriptionDropped(
+          `no new head for ${config.wsHeadTimeout}s`
+        );
+      }
+    },
+    config.wsHeadTimeout * 1000
+  );
+
+  logger.success(`Subscribed to new heads on ${config.wsRpcUrl}`);
+
+  // Backfill anything that came in before the subscription started
+  await checkForNewBlocks();
+}
+
+/**
+ * Close the WebSocket subscription and its socket
+ * @returns {Promise<void>}
+ */
+async function closeSubscription() {
+  clearScheduledTask("checkNewHeadsTimeout");
+
+  if (unwatchNewHeads) {
+    const unwatch = unwatchNewHeads;
+    unwatchNewHeads = null;
+
+    try {
+      unwatch();
+    } catch (error) {
+      logger.debug(`Error unsubscribing from new heads: ${error.message}`);
+    }
+  }
+
+  if (webSocketRpcClient) {
+    try {
+      webSocketRpcClient.close();
+    } catch (error) {
+      logger.debug(`Error closing WebSocket: ${error.message}`);
+    }
+  }
+
+  webSocketClient = null;
+  webSocketRpcClient = null;
+}
+
+/**
+ * Fall back to polling when the WebSocket subscription drops, and keep trying to subscribe again
+ * @param {string} reason - Why the subscription dropped
+ * @returns {Promise<void>}
+ */
+async function handleSubscriptionDropped(reason) {
+  if (!unwatchNewHeads) {
+    // Already fell back
+    return;
+  }
+
+  await closeSubscription();
+
+  logger.warn(
+    `WebSocket subscription dropped: ${reason}. Falling back to polling every ${config.blockFetchInterval}s...`
+  );
+
+  fallBackToPolling();
+
+  // Backfill the blocks missed since the last head
+  await checkForNewBlocks();
+}
+
+/**
+ * Poll for new blocks until the WebSocket subscription can be restored
+ */
+function fallBackToPolling() {
+  startPolling();
+
+  scheduleTask(
+    "resubscribeNewHeads",
+    tryResubscribe,
+    config.wsResubscribeInterval * 1000
+  );
+}
+
+/**
+ * Try to restore the WebSocket subscription, polling continues if it fails
+ * Skipped while an earlier attempt is still connecting, so a slow endpoint doesn't end up with several subscriptions
+ * @returns {Promise<void>}
+ */
+async function tryResubscribe() {
+  if (unwatchNewHeads || isResubscribing) {
+    return;
+  }
+
+  isResubscribing = true;
+  try {
+    await subscribeToNewHeads();
+  } catch (error) {
+    await closeSubscription();
+    logger.debug(`Error restoring WebSocket subscription: ${error.message}`);
+  } finally {
+    isResubscribing = false;
   }
 }
 
@@ -183,20 +608,71 @@ export async function processBlockBuffer(processBlocksFn) {
   }
 }
 
+/**
+ * Get the number of the last block added to the buffer
+ * @returns {bigint|null} Last processed block number
+ */
+export function getLastProcessedBlock() {
+  return lastProcessedBlock;
+}
+
+/**
+ * Get how many blocks the monitor is behind the latest known chain head
+ * @returns {number|null} Block lag, or null before the first check
+ */
+export function getBlockLag() {
+  if (chainHead === null || lastProcessedBlock === null) {
+    return null;
+  }
+
+  return Number(chainHead - lastProcessedBlock);
+}
+
+/**
+ * Get the number of blocks waiting in the buffer for the next drop
+ * @returns {number} Buffered blocks
+ */
+export function getBufferedBlockCount() {
+  return newBlocksBuffer.length;
+}
+
+/**
+ * Process the block buffer now instead of waiting for the next drop interval
+ * @returns {Promise<void>}
+ */
+export async function triggerDropNow() {
+  if (!processBlocks) {
+    throw new Error("Block monitor not started");
+  }
+
+  await triggerTaskNow("processDrop", async () =>
+    processBlockBuffer(processBlocks)
+  );
+}
+
 /**
  * Start the block monitoring and processing system
  * @param {Function} processBlocksFn - Function to call with new blocks
  * @returns {Promise<void>}
  */
 export async function startBlockMonitor(processBlocksFn) {
+  processBlocks = processBlocksFn;
   lastProcessedBlock = await getLatestBlockNumber();
   logger.info(`Block monitor initialized at block ${lastProcessedBlock}`);
 
-  scheduleTask(
-    "checkNewBlocks",
-    checkForNewBlocks,
-    config.blockFetchInterval * 1000
-  );
+  if (config.blockIngestionMode === "websocket") {
+    try {
+      await subscribeToNewHeads();
+    } catch (error) {
+      await closeSubscription();
+      logger.warn(
+        `Error subscribing to new heads on ${config.wsRpcUrl}: ${error.message}. Polling for new blocks instead...`
+      );
+      fallBackToPolling();
+    }
+  } else {
+    startPolling();
+  }
 
   scheduleTask(
     "processDrop",
@@ -1,6 +1,7 @@
 import { config } from "./config.js";
 import { logger } from "./logger.js";
 import { scheduleTask } from "./timeManager.js";
+import { loadStore, saveStore } from "./persistentStore.js";
 
 const walletAddressCache = new Set();
 const walletAddressExpirationCache = new Map();
@@ -10,12 +11,30 @@ const contractAddressExpirationCache = new Map();
 let currentWalletAddressCacheBatch = 1;
 let currentContractAddressCacheBatch = 1;
 
+const CACHE_STORE_NAME = "cache";
+
 /**
  * Initialize the cache management system
  */
 export function initializeCacheManager() {
   logger.info("Initializing cache manager...");
 
+  if (config.persistCache) {
+    restoreCacheState();
+  }
+
+  // A dry run starts from the saved cooldowns, but must not change them
+  if (config.persistCache && !config.dryRun) {
+    scheduleTask(
+      "persistCache",
+      async () => persistCacheState(),
+      config.cachePersistInterval * 1000
+    );
+
+    // Save one last time on shutdown so the latest cooldowns aren't lost
+    process.on("exit", persistCacheState);
+  }
+
   scheduleTask(
     "cacheCleanup",
     async () => {
@@ -37,6 +56,126 @@ export function initializeCacheManager() {
   );
 }
 
+/**
+ * Add an address to an expiration cache under the given batch
+ *
+ * @param {Map} expirationCache - Expiration cache to add the address to
+ * @param {number} expirationBatch - Batch at which the address expires
+ * @param {string} address - Address to add
+ */
+function addToExpirationCache(expirationCache, expirationBatch, address) {
+  if (!expirationCache.has(expirationBatch)) {
+    expirationCache.set(expirationBatch, new Set());
+  }
+  expirationCache.get(expirationBatch).add(address);
+}
+
+/**
+ * Save the wallet and contract caches along with their batch counters to disk
+ *
+ * @returns {boolean} True if the cache state was saved
+ */
+export function persistCacheState() {
+  const walletAddresses = {};
+  for (const [batch, addresses] of walletAddressExpirationCache.entries()) {
+    for (const address of addresses) {
+      walletAddresses[address] = batch;
+    }
+  }
+
+  const contractAddresses = {};
+  for (const [batch, addresses] of contractAddressExpirationCache.entries()) {
+    for (const address of addresses) {
+      contractAddresses[address] = {
+        isContract: contractAddressCache.get(address),
+        expirationBatch: batch,
+      };
+    }
+  }
+
+  const saved = saveStore(CACHE_STORE_NAME, {
+    savedAt: Date.now(),
+    walletAddressCacheBatch: currentWalletAddressCacheBatch,
+    contractAddressCacheBatch: currentContractAddressCacheBatch,
+    walletAddresses,
+    contractAddresses,
+  });
+
+  if (saved) {
+    logger.debug(
+      `Persisted cache state (Wallet addresses=${walletAddressCache.size}, Contract addresses=${contractAddressCache.size})`
+    );
+  }
+
+  return saved;
+}
+
+/**
+ * Restore the wallet and contract caches from disk
+ * Batch counters are advanced by the number of cleanup intervals that passed while the bot was down,
+ * and entries that expired in the meantime are dropped
+ */
+function restoreCacheState() {
+  const state = loadStore(CACHE_STORE_NAME);
+
+  if (!state) {
+    logger.info(
+      "No persisted cache state found. Starting with empty caches..."
+    );
+    return;
+  }
+
+  const elapsedBatches = Math.max(
+    0,
+    Math.floor(
+      (Date.now() - state.savedAt) / (config.cacheCleanupInterval * 1000)
+    )
+  );
+
+  currentWalletAddressCacheBatch =
+    (state.walletAddressCacheBatch ?? 1) + elapsedBatches;
+  currentContractAddressCacheBatch =
+    (state.contractAddressCacheBatch ?? 1) + elapsedBatches;
+
+  let expiredCount = 0;
+
+  for (const [address, expirationBatch] of Object.entries(
+    state.walletAddresses ?? {}
+  )) {
+    if (expirationBatch <= currentWalletAddressCacheBatch) {
+      expiredCount++;
+      continue;
+    }
+
+    walletAddressCache.add(address);
+    addToExpirationCache(
+      walletAddressExpirationCache,
+      expirationBatch,
+      address
+    );
+  }
+
+  for (const [address, { isContract, expirationBatch }] of Object.entries(
+    state.contractAddresses ?? {}
+  )) {
+    if (expirationBatch <= currentContractAddressCacheBatch) {
+      expiredCount++;
+      continue;
+    }
+
+    contractAddressCache.set(address, isContract);
+    addToExpirationCache(
+      contractAddressExpirationCache,
+      expirationBatch,
+      address
+    );
+  }
+
+  logger.info(
+    `Restored cache state: Wallet addresses=${walletAddressCache.size}, Contract addresses=${contractAddressCache.size}, Expired while offline=${expiredCount} (${elapsedBatches} cache batches elapsed)`
+  );
+}
+
 /**
  * Get current wallet cache batch number
  *
@@ -184,6 +323,32 @@ export function addToWalletAddressCache(
   }
 }
 
+/**
+ * Remove a wallet address from the cache so it becomes eligible for drops again
+ *
+ * @param {string} address - Wallet address to remove from the cache
+ * @returns {boolean} True if the address was in the cache
+ */
+export function removeFromWalletAddressCache(address) {
+  const normalizedAddress = address.toLowerCase();
+
+  if (!walletAddressCache.delete(normalizedAddress)) {
+    return false;
+  }
+
+  for (const [batch, addresses] of walletAddressExpirationCache.entries()) {
+    if (addresses.delete(normalizedAddress)) {
+      if (addresses.size === 0) {
+        walletAddressExpirationCache.delete(batch);
+      }
+      break;
+    }
+  }
+
+  logger.trace(`Removed wallet ${normalizedAddress} from cache`);
+  return true;
+}
+
 /**
  * Clean up contract addresses that have expired in the current batch
  *
@@ -282,3 +447,12 @@ export function isWalletAddressInCache(address) {
 export function getWalletAddressCacheSize() {
   return walletAddressCache.size;
 }
+
+/**
+ * Get the size of the contract address cache
+ *
+ * @returns {number} Size of the contract address cache
+ */
+export function getContractAddressCacheSize() {
+  return contractAddressCache.size;
+}
@@ -0,0 +1,63 @@
+import fs from "node:fs";
+import solc from "solc";
+import { logger } from "./logger.js";
+import { DISPERSE_BYTECODE } from "./disperse.js";
+
+const SOURCE_PATH = "contracts/Disperse.sol";
+const SETTINGS_PATH = "contracts/Disperse.settings.json";
+
+/**
+ * Compile the disperse contract with the pinned compiler settings
+ * solc is pinned in the dev dependencies, so the same source always compiles to the same bytecode
+ *
+ * @returns {string} Deployment bytecode
+ */
+export function compileDisperse() {
+  const input = {
+    language: "Solidity",
+    sources: {
+      [SOURCE_PATH]: {
+        content: fs.readFileSync(
+          new URL(`../${SOURCE_PATH}`, import.meta.url),
+          "utf8"
+        ),
+      },
+    },
+    settings: {
+      ...JSON.parse(
+        fs.readFileSync(new URL(`../${SETTINGS_PATH}`, import.meta.url), "utf8")
+      ),
+      outputSelection: { "*": { "*": ["evm.bytecode.object"] } },
+    },
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors ?? []).filter(
+    (error) => error.severity === "error"
+  );
+  if (errors.length > 0) {
+    throw new Error(errors.map((error) => error.formattedMessage).join("\n"));
+  }
+
+  return `0x${output.contracts[SOURCE_PATH].Disperse.evm.bytecode.object}`;
+}
+
+if (import.meta.url.endsWith(process.argv[1])) {
+  try {
+    const bytecode = compileDisperse();
+
+    if (bytecode === DISPERSE_BYTECODE) {
+      logger.success(
+        `Compiled ${SOURCE_PATH} with solc ${solc.version()}: matches the bytecode in src/disperse.js`
+      );
+    } else {
+      logger.warn(
+        `Compiled ${SOURCE_PATH} with solc ${solc.version()}: differs from the bytecode in src/disperse.js. Update DISPERSE_BYTECODE to:\n${bytecode}`
+      );
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    logger.error(`Failed to compile the disperse contract: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -1,31 +1,139 @@
 import dotenv from "dotenv";
+import { loadConfig } from "./configLoader.js";
 
 dotenv.config();
 
-export const config = {
+/**
+ * Default settings
+ * Each layer overrides the previous one: defaults, network profile, config file, environment variables, CLI flags
+ */
+const defaults = {
   // Network configuration
-  chainId: 10143,
-  networkName: "Monad Testnet",
-  networkShortName: "monad-testnet",
-  currencyDecimals: 18,
-  currencyName: "Monad",
-  currencySymbol: "MON",
-  rpcUrl: process.env.RPC_URL || "https://testnet-rpc.monad.xyz/",
-  blockExplorerUrl: "https://testnet.monadexplorer.com/",
-  gasPrice: 51n * 10n ** 9n, // 51 gwei in wei (fixed gas price)
+  network: "monad-testnet", // Network profile ('monad-testnet', 'sepolia', 'local' or one defined in the config file) // Sets chainId, networkName, networkShortName, currency*, rpcUrl, wsRpcUrl and blockExplorer*
+  rpcUrls: [], // Additional RPC URLs to fail over to, comma-separated
+  rpcRequestTimeout: 10, // How long to wait for an RPC response before failing over (in seconds)
+  rpcMaxConsecutiveFailures: 3, // How many requests in a row can fail before an RPC endpoint is considered down
+  rpcMaxBlockLag: 5, // How many blocks an RPC endpoint can be behind the others before it is considered lagging
+  rpcRequestsPerSecond: 20, // Maximum RPC requests per second across all modules (0 to disable rate limiting)
+  rpcBurstSize: 40, // How many RPC requests can go out at once before rate limiting kicks in
+  blockIngestionMode: "polling", // How to learn about new blocks ('polling' for getBlockNumber every blockFetchInterval, 'websocket' for a newHeads subscription that falls back to polling while the socket is down)
+  reorgWindowSize: 64, // How many recent block hashes to keep for detecting and rolling back chain reorgs
+  maxBlocksPerCheck: 100, // Maximum number of blocks to fetch per check when catching up // The rest are fetched on the next checks
+  blockFetchConcurrency: 10, // Maximum number of blocks to fetch at the same time
+  maxBlockFetchAttempts: 3, // How many times to try fetching a block before stopping the check at it
+  blockFetchRetryDelay: 1, // Initial delay before retrying a failed block fetch (in seconds) // Doubles with every attempt
+  maxBackfillGap: 0, // Skip straight to the chain head when more blocks than this are missing (0 to always backfill)
+  feeMode: "eip1559", // Fee mode ('eip1559' for dynamic fees from the fee history, 'legacy' for the fixed gasPrice)
+  gasPrice: 51n * 10n ** 9n, // 51 gwei in wei (fixed gas price) // Used in 'legacy' mode and as a fallback when the fee history is unavailable
+  feeHistoryBlocks: 10, // How many recent blocks to read from the fee history
+  priorityFeePercentile: 50, // Percentile of recent priority fees to pay
+  baseFeeMultiplier: 2, // Multiplier on the next base fee for maxFeePerGas // Leaves headroom for the base fee to rise
+  feeCeiling: 200n * 10n ** 9n, // 200 gwei in wei (hard ceiling on gasPrice and maxFeePerGas, including gas bumps) // Stuck drops at the ceiling are no longer replaced
+  gasBumpPercent: 20, // How much to raise the gas price of a stuck transaction when replacing it
+  maxGasBumps: 2, // How many times to replace a stuck transaction before cancelling its nonce
 
   // Time interval configuration (in seconds)
   blockFetchInterval: 2, // How often to check for new blocks // Keep this low to avoid hitting rate limits
+  wsResubscribeInterval: 30, // How often to try restoring a dropped WebSocket subscription while polling
+  rpcProbeInterval: 15, // How often to probe all RPC endpoints for latency and block height // Endpoints that are down come back once a probe succeeds
+  wsHeadTimeout: 30, // How long the WebSocket subscription can go without a new head before it is considered dropped
   dropInterval: 10, // How often to drop tokens
   transactionProcessingInterval: 1, // How long to wait for transactions to be processed after selection
   cacheCleanupInterval: 10, // How often to clean up the cache // Should be less than or equal to dropInterval
   logStatusInterval: 60, // How often to log statuses
+  budgetCheckInterval: 30, // How often to check whether drops paused by a spend budget can resume
+  alertCheckInterval: 30, // How often to check whether the block monitor has stalled
+  confirmationPollInterval: 2, // How often to poll receipts of sent drop transactions
+  confirmationTimeout: 60, // How long to wait for a drop transaction to be mined before marking it as timed out // Restarts whenever a stuck transaction is replaced
+  stuckTransactionCheckInterval: 5, // How often to check for stuck drop transactions
+  stuckTransactionThreshold: 20, // How long a drop transaction can stay pending before it is replaced with a higher fee // Should be less than confirmationTimeout
 
   // Drop configuration
   addressesPerBatch: 50, // How many addresses to drop tokens to per batch
-  amountPerDrop: 0.1, // How much $MON to drop per address per batch
+  dryRun: false, // Whether to simulate drops instead of sending them // Writes a report to the data directory when the dry run ends
+  dryRunDuration: 0, // How long to run in dry-run mode before writing the report and stopping (in seconds, 0 to run until stopped)
+  selectionMode: "uniform", // How to pick recipients ('uniform' for equal chances, 'weighted' for chances based on activity in the scanned blocks)
+  activityWeighting: "log", // Weighting curve for 'weighted' selection ('linear', 'log' or 'capped')
+  activityWeightCap: 10, // Transaction count at which 'capped' weighting stops increasing
+  dropMode: "individual", // How to send drops ('individual' for one transaction per address, 'disperse' for one disperse contract call per batch)
+  disperseContractAddress: "", // Address of the disperse contract used in 'disperse' mode
+  rewardAsset: "native", // Asset to drop ('native' for the chain's currency, 'erc20' for the token at rewardTokenAddress, 'erc721' or 'erc1155' for badges of the collection at rewardTokenAddress) // Drop amounts and spend budgets are in this asset
+  rewardTokenAddress: "", // Address of the ERC-20 token or NFT collection dropped in 'erc20', 'erc721' and 'erc1155' modes
+  tokenTransferGas: 100000, // Gas limit of a token transfer or NFT mint in 'erc20', 'erc721' and 'erc1155' modes // Raise it for mint functions that do more work
+  nftDropMode: "transfer", // How NFT badges are dropped ('transfer' for pre-minted nftTokenIds held by the drop wallets, 'mint' for calling nftMintFunction)
+  nftMintFunction: "function mint(address to)", // Signature of the collection's mint function in 'mint' mode // Drop wallets must be allowed to call it
+  nftMintArgs: ["{recipient}"], // Arguments of nftMintFunction: '{recipient}', '{tokenId}' and '{amount}' are filled in per drop, anything else is passed as it is
+  nftTokenIds: [], // Token IDs to drop, as single IDs or ranges like '1-100' of at most 10000 IDs // Required in 'transfer' mode, and used for '{tokenId}' in 'mint' mode
+  nftAmountPerDrop: 1, // Copies of the token per drop in 'erc1155' mode // ERC-721 drops are always a single token
+  nftMintLimit: 0, // Maximum number of drops in 'mint' mode, 0 for no limit // Drops stop once it is reached
+  amountStrategy: "fixed", // How to pick the amount per drop ('fixed' for amountPerDrop, 'random' for a uniform amount between amountRandomMin and amountRandomMax, 'tiered' for amountPerDrop with lucky amountTiers, 'activity' for amountPerDrop scaled by activity in the scanned blocks)
+  amountPerDrop: 0.1, // How much of the reward asset to drop per address per batch // Base amount of the 'tiered' and 'activity' strategies
+  amountRandomMin: 0.05, // Minimum amount per drop in 'random' strategy
+  amountRandomMax: 0.2, // Maximum amount per drop in 'random' strategy
+  amountTiers: [
+    { chance: 0.01, multiplier: 10 },
+    { chance: 0.1, multiplier: 2 },
+  ], // Lucky tiers in 'tiered' strategy: the chance of a recipient landing in each tier and its multiplier on amountPerDrop // Everyone else gets amountPerDrop
+  amountActivityMaxMultiplier: 5, // Maximum multiplier on amountPerDrop in 'activity' strategy // Follows the activityWeighting curve
+  minSenderBalance: 1, // Minimum $MON a drop wallet must keep // Wallets below it are skipped until they are funded again
+  maxSendAttempts: 3, // How many times to try sending a drop to an address before giving up
+  sendRetryBaseDelay: 1, // Initial delay before retrying a failed send (in seconds) // Doubles with every attempt
+  sendRetryMaxDelay: 10, // Maximum delay between send attempts (in seconds)
   cooldownBatches: 30, // How many batches to wait before dropping tokens again to the same address // Total time before dropping tokens to the same address is dropInterval * cooldownBatches
 
+  // Budget configuration (0 disables a budget, amounts are in the reward asset)
+  hourlySpendCap: 0, // Maximum to spend on drops in any rolling hour // Includes gas for native drops
+  dailySpendCap: 0, // Maximum to spend on drops in any rolling 24 hours // Includes gas for native drops
+  recipientLifetimeCap: 0, // Maximum a single address can receive, across restarts
+  reserveBalance: 0, // Reward asset balance to keep across all drop wallets // Batches are trimmed so the total balance can't go below it, not used for NFT drops
+
+  // Eligibility configuration
+  eligibilityMinNonce: 0, // Minimum number of transactions an address must have sent // 0 disables the rule
+  eligibilityMaxBalance: 0, // Maximum $MON an address may hold to receive drops (don't top up whales) // 0 disables the rule
+  eligibilityMinAccountAgeBlocks: 0, // How many blocks ago an address must already have been active or funded // 0 disables the rule
+  eligibilityAllowListFile: "", // File with addresses that are the only ones eligible, one per line (optional)
+  eligibilityDenyListFile: "", // File with addresses that are never eligible, one per line (optional)
+
+  // Sybil detection configuration
+  sybilDetection: false, // Whether to cluster addresses by their funder and limit drops per cluster
+  sybilMaxPerCluster: 1, // Maximum number of addresses from the same cluster per batch // Later batches can pick the cluster again
+  sybilMinClusterSize: 3, // Minimum number of funded addresses before a funder is treated as a cluster
+  sybilMaxTrackedAddresses: 100000, // Maximum number of funding relationships to keep // The oldest are forgotten first
+  sybilIgnoredFunders: [], // Funders that fund many unrelated addresses (faucets, bridges) // Drop wallets are always ignored
+
+  // Persistence configuration
+  dataDirectory: "data", // Directory where persistent state is stored
+  persistCache: true, // Whether to save the wallet and contract caches to disk and restore them on startup
+  cachePersistInterval: 30, // How often to save the caches to disk (in seconds)
+
+  // Admin API configuration
+  adminApiEnabled: false, // Whether to start the HTTP admin API // Also needs ADMIN_API_TOKEN in .env
+  adminApiHost: "127.0.0.1", // Address the admin API listens on // Keep it local unless it sits behind an authenticating proxy
+  adminApiPort: 3030, // Port the admin API listens on
+
+  // Metrics configuration
+  metricsEnabled: false, // Whether to serve Prometheus metrics on /metrics
+  metricsHost: "127.0.0.1", // Address the metrics server listens on
+  metricsPort: 9464, // Port the metrics server listens on
+
+  // Alerting configuration
+  alertWebhookUrl: "", // Generic webhook that receives alerts as JSON, empty to disable
+  discordWebhookUrl: "", // Discord webhook URL, empty to disable
+  telegramBotToken: "", // Telegram bot token, empty to disable // Also needs TELEGRAM_CHAT_ID
+  telegramChatId: "", // Telegram chat to post alerts to
+  telegramApiUrl: "https://api.telegram.org", // Telegram Bot API URL // Can point to a local stand-in for testing
+  alertCooldown: 900, // Minimum time between two alerts of the same type while the problem persists (in seconds)
+  alertSendFailureThreshold: 5, // How many drops in a row can fail to send before alerting
+  alertBlockStallTimeout: 120, // How long the block monitor can go without processing a new block before alerting (in seconds)
+
   // Logging configuration
   logLevel: "INFO", // Logging level ('TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'NONE')
+  logFormat: "text", // Console log format ('text' or 'json' for one JSON entry per line)
+  logFile: "", // Path of the log file, empty to only log to the console
+  logFileFormat: "json", // Log file format ('text' or 'json')
+  logFileMaxSize: 10, // Size at which the log file is rotated (in MB)
+  logFileMaxAge: 24, // Age at which the log file is rotated (in hours)
+  logFileMaxFiles: 5, // Number of rotated log files to keep
 };
+
+export const config = loadConfig(defaults);
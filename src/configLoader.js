@@ -0,0 +1,674 @@
+import fs from "node:fs";
+import { networkProfiles } from "./networks.js";
+
+const DEFAULT_CONFIG_FILE = "mondrop.config.json";
+
+// Most token IDs a single nftTokenIds range can cover, since every ID of a range is looked up at startup
+const MAX_TOKEN_ID_RANGE = 10000;
+
+// Profile settings, set by the network profile instead of the defaults
+const NETWORK_SETTINGS = {
+  chainId: { type: "integer", min: 1 },
+  networkName: { type: "string" },
+  networkShortName: { type: "string" },
+  currencyDecimals: { type: "integer", min: 0 },
+  currencyName: { type: "string" },
+  currencySymbol: { type: "string" },
+  rpcUrl: { type: "string", format: "url" },
+  wsRpcUrl: { type: "string", format: "url", allowEmpty: true },
+  blockExplorerName: { type: "string", allowEmpty: true },
+  blockExplorerUrl: { type: "string", format: "url", allowEmpty: true },
+};
+
+/**
+ * Type and range of every setting
+ * Environment variables and CLI flags can only set the settings listed here
+ */
+const SCHEMA = {
+  network: { type: "string" },
+  ...NETWORK_SETTINGS,
+  rpcUrls: { type: "list", format: "url" },
+  rpcRequestTimeout: { type: "number", greaterThan: 0 },
+  rpcMaxConsecutiveFailures: { type: "integer", min: 1 },
+  rpcMaxBlockLag: { type: "integer", min: 0 },
+  rpcRequestsPerSecond: { type: "number", min: 0 },
+  rpcBurstSize: { type: "number", min: 1 },
+  blockIngestionMode: { type: "enum", values: ["polling", "websocket"] },
+  reorgWindowSize: { type: "integer", min: 1 },
+  maxBlocksPerCheck: { type: "integer", min: 1 },
+  blockFetchConcurrency: { type: "integer", min: 1 },
+  maxBlockFetchAttempts: { type: "integer", min: 1 },
+  blockFetchRetryDelay: { type: "number", min: 0 },
+  maxBackfillGap: { type: "integer", min: 0 },
+  feeMode: { type: "enum", values: ["eip1559", "legacy"] },
+  gasPrice: { type: "bigint", greaterThan: 0n },
+  feeHistoryBlocks: { type: "integer", min: 1 },
+  priorityFeePercentile: { type: "number", min: 0, max: 100 },
+  baseFeeMultiplier: { type: "number", min: 1 },
+  feeCeiling: { type: "bigint", greaterThan: 0n },
+  gasBumpPercent: { type: "number", min: 10 },
+  maxGasBumps: { type: "integer", min: 0 },
+
+  blockFetchInterval: { type: "number", greaterThan: 0 },
+  wsResubscribeInterval: { type: "number", greaterThan: 0 },
+  rpcProbeInterval: { type: "number", greaterThan: 0 },
+  wsHeadTimeout: { type: "number", greaterThan: 0 },
+  dropInterval: { type: "number", greaterThan: 0 },
+  transactionProcessingInterval: { type: "number", greaterThan: 0 },
+  cacheCleanupInterval: { type: "number", greaterThan: 0 },
+  logStatusInterval: { type: "number", greaterThan: 0 },
+  budgetCheckInterval: { type: "number", greaterThan: 0 },
+  alertCheckInterval: { type: "number", greaterThan: 0 },
+  confirmationPollInterval: { type: "number", greaterThan: 0 },
+  confirmationTimeout: { type: "number", greaterThan: 0 },
+  stuckTransactionCheckInterval: { type: "number", greaterThan: 0 },
+  stuckTransactionThreshold: { type: "number", greaterThan: 0 },
+
+  addressesPerBatch: { type: "integer", min: 1 },
+  dryRun: { type: "boolean" },
+  dryRunDuration: { type: "number", min: 0 },
+  selectionMode: { type: "enum", values: ["uniform", "weighted"] },
+  activityWeighting: { type: "enum", values: ["linear", "log", "capped"] },
+  activityWeightCap: { type: "number", greaterThan: 0 },
+  dropMode: { type: "enum", values: ["individual", "disperse"] },
+  disperseContractAddress: {
+    type: "string",
+    format: "address",
+    allowEmpty: true,
+  },
+  rewardAsset: {
+    type: "enum",
+    values: ["native", "erc20", "erc721", "erc1155"],
+  },
+  rewardTokenAddress: { type: "string", format: "address", allowEmpty: true },
+  tokenTransferGas: { type: "integer", min: 21000 },
+  nftDropMode: { type: "enum", values: ["mint", "transfer"] },
+  nftMintFunction: { type: "string" },
+  nftMintArgs: { type: "list" },
+  nftTokenIds: { type: "list", format: "tokenId" },
+  nftAmountPerDrop: { type: "integer", min: 1 },
+  nftMintLimit: { type: "integer", min: 0 },
+  amountStrategy: {
+    type: "enum",
+    values: ["fixed", "random", "tiered", "activity"],
+  },
+  amountPerDrop: { type: "number", greaterThan: 0 },
+  amountRandomMin: { type: "number", greaterThan: 0 },
+  amountRandomMax: { type: "number", greaterThan: 0 },
+  amountTiers: { type: "tiers" },
+  amountActivityMaxMultiplier: { type: "number", min: 1 },
+  minSenderBalance: { type: "number", min: 0 },
+  maxSendAttempts: { type: "integer", min: 1 },
+  sendRetryBaseDelay: { type: "number", min: 0 },
+  sendRetryMaxDelay: { type: "number", min: 0 },
+  cooldownBatches: { type: "integer", min: 0 },
+
+  hourlySpendCap: { type: "number", min: 0 },
+  dailySpendCap: { type: "number", min: 0 },
+  recipientLifetimeCap: { type: "number", min: 0 },
+  reserveBalance: { type: "number", min: 0 },
+
+  eligibilityMinNonce: { type: "integer", min: 0 },
+  eligibilityMaxBalance: { type: "number", min: 0 },
+  eligibilityMinAccountAgeBlocks: { type: "integer", min: 0 },
+  eligibilityAllowListFile: { type: "string", allowEmpty: true },
+  eligibilityDenyListFile: { type: "string", allowEmpty: true },
+
+  sybilDetection: { type: "boolean" },
+  sybilMaxPerCluster: { type: "integer", min: 1 },
+  sybilMinClusterSize: { type: "integer", min: 1 },
+  sybilMaxTrackedAddresses: { type: "integer", min: 1 },
+  sybilIgnoredFunders: { type: "list", format: "address" },
+
+  dataDirectory: { type: "string" },
+  persistCache: { type: "boolean" },
+  cachePersistInterval: { type: "number", greaterThan: 0 },
+
+  adminApiEnabled: { type: "boolean" },
+  adminApiHost: { type: "string" },
+  adminApiPort: { type: "integer", min: 1, max: 65535 },
+
+  metricsEnabled: { type: "boolean" },
+  metricsHost: { type: "string" },
+  metricsPort: { type: "integer", min: 1, max: 65535 },
+
+  alertWebhookUrl: { type: "string", format: "url", allowEmpty: true },
+  discordWebhookUrl: { type: "string", format: "url", allowEmpty: true },
+  telegramBotToken: { type: "string", allowEmpty: true },
+  telegramChatId: { type: "string", allowEmpty: true },
+  telegramApiUrl: { type: "string", format: "url" },
+  alertCooldown: { type: "number", min: 0 },
+  alertSendFailureThreshold: { type: "integer", min: 1 },
+  alertBlockStallTimeout: { type: "number", greaterThan: 0 },
+
+  logLevel: {
+    type: "enum",
+    values: ["TRACE", "DEBUG", "INFO", "WARN", "ERROR", "NONE"],
+  },
+  logFormat: { type: "enum", values: ["text", "json"] },
+  logFile: { type: "string", allowEmpty: true },
+  logFileFormat: { type: "enum", values: ["text", "json"] },
+  logFileMaxSize: { type: "number", greaterThan: 0 },
+  logFileMaxAge: { type: "number", greaterThan: 0 },
+  logFileMaxFiles: { type: "integer", min: 0 },
+};
+
+// Prefix of the environment variables that set a setting, so unrelated variables (e.g. LOG_LEVEL of another tool) are ignored
+const ENV_PREFIX = "MONDROP_";
+
+// Settings documented in .env.example that can also be set without the prefix
+const UNPREFIXED_ENV_SETTINGS = [
+  "network",
+  "rpcUrl",
+  "rpcUrls",
+  "wsRpcUrl",
+  "dataDirectory",
+  "disperseContractAddress",
+  "rewardAsset",
+  "rewardTokenAddress",
+  "nftDropMode",
+  "nftTokenIds",
+  "alertWebhookUrl",
+  "discordWebhookUrl",
+  "telegramBotToken",
+  "telegramChatId",
+  "logFile",
+];
+
+// Environment variables that don't follow the SCREAMING_SNAKE_CASE name of their setting
+const ENV_ALIASES = {
+  dataDirectory: "DATA_DIR",
+};
+
+// Rules between settings, checked once every setting is valid on its own
+const CROSS_SETTING_RULES = [
+  {
+    isValid: (config) => config.cacheCleanupInterval <= config.dropInterval,
+    message: (config) =>
+      `cacheCleanupInterval (${config.cacheCleanupInterval}) must be less than or equal to dropInterval (${config.dropInterval})`,
+  },
+  {
+    isValid: (config) =>
+      config.stuckTransactionThreshold < config.confirmationTimeout,
+    message: (config) =>
+      `stuckTransactionThreshold (${config.stuckTransactionThreshold}) must be less than confirmationTimeout (${config.confirmationTimeout})`,
+  },
+  {
+    isValid: (config) => config.sendRetryBaseDelay <= config.sendRetryMaxDelay,
+    message: (config) =>
+      `sendRetryBaseDelay (${config.sendRetryBaseDelay}) must be less than or equal to sendRetryMaxDelay (${config.sendRetryMaxDelay})`,
+  },
+  {
+    isValid: (config) =>
+      config.rewardAsset === "native" || config.rewardTokenAddress !== "",
+    message: (config) =>
+      `rewardAsset '${config.rewardAsset}' needs a rewardTokenAddress`,
+  },
+  {
+    isValid: (config) =>
+      config.rewardAsset === "native" ||
+      config.rewardAsset === "erc20" ||
+      config.nftDropMode !== "transfer" ||
+      config.nftTokenIds.length > 0,
+    message: () =>
+      `nftDropMode 'transfer' needs the nftTokenIds held by the drop wallets`,
+  },
+  {
+    isValid: (config) => config.amountRandomMin <= config.amountRandomMax,
+    message: (config) =>
+      `amountRandomMin (${config.amountRandomMin}) must be less than or equal to amountRandomMax (${config.amountRandomMax})`,
+  },
+  {
+    isValid: (config) => config.gasPrice <= config.feeCeiling,
+    message: (config) =>
+      `gasPrice (${config.gasPrice}) must be less than or equal to feeCeiling (${config.feeCeiling})`,
+  },
+  {
+    isValid: (config) =>
+      config.blockIngestionMode !== "websocket" || config.wsRpcUrl !== "",
+    message: () => `blockIngestionMode 'websocket' needs a wsRpcUrl`,
+  },
+  {
+    isValid: (config) => !config.telegramBotToken || config.telegramChatId,
+    message: () => `telegramBotToken is set but telegramChatId is not`,
+  },
+];
+
+/**
+ * Get the environment variable name of a setting
+ *
+ * @param {string} name - Setting name
+ * @returns {string} Environment variable name without the prefix, e.g. 'DROP_INTERVAL' for dropInterval
+ */
+function getEnvName(name) {
+  return ENV_ALIASES[name] ?? name.replace(/([A-Z])/g, "_$1").toUpperCase();
+}
+
+/**
+ * Get the CLI flag name of a setting
+ *
+ * @param {string} name - Setting name
+ * @returns {string} Flag name, e.g. 'drop-interval' for dropInterval
+ */
+function getFlagName(name) {
+  return name.replace(/([A-Z])/g, "-$1").toLowerCase();
+}
+
+/**
+ * Parse a setting from a string (environment variable or CLI flag)
+ * Values that don't parse are passed on as they are, so validation reports them
+ *
+ * @param {object} rule - Schema rule of the setting
+ * @param {string} raw - Raw value
+ * @returns {any} Parsed value
+ */
+function parseString(rule, raw) {
+  const value = raw.trim();
+
+  switch (rule.type) {
+    case "number":
+    case "integer":
+      return value === "" ? raw : Number(value);
+
+    case "bigint":
+      return parseBigInt(value);
+
+    case "boolean":
+      if (["true", "1", "yes"].includes(value.toLowerCase())) return true;
+      if (["false", "0", "no"].includes(value.toLowerCase())) return false;
+      return raw;
+
+    case "list":
+      return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+    case "tiers":
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return raw;
+      }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Parse a bigint from a string or an integer number
+ *
+ * @param {any} value - Raw value
+ * @returns {any} Bigint, or the raw value if it isn't an integer
+ */
+function parseBigInt(value) {
+  try {
+    return typeof value === "string" || Number.isInteger(value)
+      ? BigInt(value)
+      : value;
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Read the settings from environment variables
+ * Every setting can be set with the MONDROP_ prefix, and the documented ones also without it, the prefixed variable winning
+ *
+ * @returns {object} Settings with the environment variable each came from
+ */
+function readEnvSettings() {
+  const settings = {};
+
+  for (const [name, rule] of Object.entries(SCHEMA)) {
+    const envNames = [`${ENV_PREFIX}${getEnvName(name)}`];
+    if (UNPREFIXED_ENV_SETTINGS.includes(name)) {
+      envNames.push(getEnvName(name));
+    }
+
+    const envName = envNames.find(
+      (envName) => process.env[envName] !== undefined
+    );
+
+    if (envName) {
+      settings[name] = {
+        value: parseString(rule, process.env[envName]),
+        source: `environment variable ${envName}`,
+      };
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Read the settings and the config file path from the CLI flags
+ * Flags take the form '--drop-interval 5' or '--drop-interval=5', and '--persist-cache' or '--no-persist-cache' for booleans
+ *
+ * @param {Array<string>} args - Command line arguments
+ * @param {Array<string>} errors - Errors to add to
+ * @returns {object} Config file path and settings with the flag each came from
+ */
+function readCliSettings(args, errors) {
+  const flags = new Map(
+    Object.keys(SCHEMA).map((name) => [getFlagName(name), name])
+  );
+  const settings = {};
+  let configFile = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("--")) {
+      continue;
+    }
+
+    let [flag, raw] = args[i].slice(2).split(/=(.*)/s);
+    let negated = false;
+
+    if (
+      flag.startsWith("no-") &&
+      SCHEMA[flags.get(flag.slice(3))]?.type === "boolean"
+    ) {
+      flag = flag.slice(3);
+      negated = true;
+    }
+
+    const name = flag === "config" ? "config" : flags.get(flag);
+    if (!name) {
+      errors.push(`Unknown CLI flag --${flag}`);
+      continue;
+    }
+
+    if (raw === undefined) {
+      if (negated || SCHEMA[name]?.type === "boolean") {
+        raw = String(!negated);
+      } else if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+        raw = args[++i];
+      } else {
+        errors.push(`CLI flag --${flag} needs a value`);
+        continue;
+      }
+    }
+
+    if (name === "config") {
+      configFile = raw;
+      continue;
+    }
+
+    settings[name] = {
+      value: parseString(SCHEMA[name], raw),
+      source: `CLI flag --${flag}`,
+    };
+  }
+
+  return { configFile, settings };
+}
+
+/**
+ * Read the settings and custom network profiles from a JSON config file
+ *
+ * @param {string} filePath - Path of the config file
+ * @param {Array<string>} errors - Errors to add to
+ * @returns {object} Custom network profiles and settings with the file they came from
+ */
+function readConfigFile(filePath, errors) {
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    errors.push(`Could not read config file ${filePath}: ${error.message}`);
+    return { networks: {}, settings: {} };
+  }
+
+  if (typeof contents !== "object" || contents === null) {
+    errors.push(`Config file ${filePath} must contain a JSON object`);
+    return { networks: {}, settings: {} };
+  }
+
+  const { networks = {}, ...rest } = contents;
+  const settings = {};
+
+  for (const [name, value] of Object.entries(rest)) {
+    if (!SCHEMA[name]) {
+      errors.push(`Unknown setting "${name}" in config file ${filePath}`);
+      continue;
+    }
+
+    settings[name] = {
+      value: SCHEMA[name].type === "bigint" ? parseBigInt(value) : value,
+      source: `config file ${filePath}`,
+    };
+  }
+
+  return { networks, settings };
+}
+
+/**
+ * Check if a string is a valid URL
+ *
+ * @param {string} value - String to check
+ * @returns {boolean} True if it parses as a URL
+ */
+function isUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a single value against its schema rule
+ *
+ * @param {object} rule - Schema rule
+ * @param {any} value - Value to check
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function checkValue(rule, value) {
+  if (rule.allowEmpty && (value === "" || value === undefined)) {
+    return null;
+  }
+
+  switch (rule.type) {
+    case "number":
+    case "integer":
+    case "bigint": {
+      const isValidType =
+        rule.type === "bigint"
+          ? typeof value === "bigint"
+          : typeof value === "number" &&
+            Number.isFinite(value) &&
+            (rule.type === "number" || Number.isInteger(value));
+
+      if (!isValidType) {
+        return `must be ${rule.type === "number" ? "a number" : "an integer"}`;
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min}`;
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return `must be at most ${rule.max}`;
+      }
+      if (rule.greaterThan !== undefined && value <= rule.greaterThan) {
+        return `must be greater than ${rule.greaterThan}`;
+      }
+      return null;
+    }
+
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+
+    case "enum":
+      return rule.values.includes(value)
+        ? null
+        : `must be one of ${rule.values.join(", ")}`;
+
+    case "list":
+      if (!Array.isArray(value)) {
+        return "must be a list";
+      }
+      for (const item of value) {
+        const error = checkValue({ type: "string", format: rule.format }, item);
+        if (error) {
+          return `has an item "${item}" that ${error}`;
+        }
+      }
+      return null;
+
+    case "tiers": {
+      if (!Array.isArray(value)) {
+        return 'must be a list of tiers, e.g. [{"chance": 0.01, "multiplier": 10}]';
+      }
+      for (const tier of value) {
+        if (
+          typeof tier?.chance !== "number" ||
+          !(tier.chance > 0 && tier.chance <= 1)
+        ) {
+          return "must have a chance between 0 and 1 in every tier";
+        }
+        if (typeof tier.multiplier !== "number" || !(tier.multiplier > 0)) {
+          return "must have a multiplier greater than 0 in every tier";
+        }
+      }
+      const totalChance = value.reduce((total, tier) => total + tier.chance, 0);
+      if (totalChance > 1) {
+        return `must have chances adding up to at most 1 (got ${totalChance})`;
+      }
+      return null;
+    }
+
+    default:
+      if (typeof value !== "string" || value === "") {
+        return "must be a non-empty string";
+      }
+      if (rule.format === "address" && !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        return "must be a 0x-prefixed address";
+      }
+      if (rule.format === "url" && !isUrl(value)) {
+        return "must be a valid URL";
+      }
+      if (rule.format === "tokenId") {
+        const [start, end = start] = value.split("-");
+        if (!/^\d+(-\d+)?$/.test(value)) {
+          return 'must be a token ID or a range of them, e.g. "7" or "1-100"';
+        }
+        if (BigInt(start) > BigInt(end)) {
+          return "must be a range from a lower to a higher token ID";
+        }
+        if (BigInt(end) - BigInt(start) >= BigInt(MAX_TOKEN_ID_RANGE)) {
+          return `must be a range of at most ${MAX_TOKEN_ID_RANGE} token IDs`;
+        }
+      }
+      return null;
+  }
+}
+
+/**
+ * Validate a config object against the schema and the rules between settings
+ *
+ * @param {object} config - Config to validate
+ * @param {object} sources - Where each setting came from, to point at it in errors (optional)
+ * @returns {Array<string>} Validation errors, empty if the config is valid
+ */
+export function validateConfig(config, sources = {}) {
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(SCHEMA)) {
+    const error = checkValue(rule, config[name]);
+
+    if (error) {
+      const value =
+        typeof config[name] === "string"
+          ? `"${config[name]}"`
+          : rule.type === "tiers" && Array.isArray(config[name])
+          ? JSON.stringify(config[name])
+          : String(config[name]);
+      errors.push(
+        `${name} ${error} (got ${value} from ${sources[name] ?? "defaults"})`
+      );
+    }
+  }
+
+  // Rules between settings only make sense once every setting is valid
+  if (errors.length === 0) {
+    for (const rule of CROSS_SETTING_RULES) {
+      if (!rule.isValid(config)) {
+        errors.push(rule.message(config));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load the config in layers: defaults, then the network profile, the config file, environment variables and CLI flags
+ * Stops the process with a list of errors if the resulting config is invalid
+ *
+ * @param {object} defaults - Default settings
+ * @returns {object} Config
+ */
+export function loadConfig(defaults) {
+  const errors = [];
+
+  const cli = readCliSettings(process.argv.slice(2), errors);
+  const env = readEnvSettings();
+
+  const configFile =
+    cli.configFile ??
+    process.env.CONFIG_FILE ??
+    (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  const file = configFile
+    ? readConfigFile(configFile, errors)
+    : { networks: {}, settings: {} };
+
+  const layers = [file.settings, env, cli.settings];
+
+  // The network is picked first, since its profile sits below the other layers
+  const network =
+    [...layers].reverse().find((layer) => layer.network)?.network.value ??
+    defaults.network;
+  const profiles = { ...networkProfiles, ...file.networks };
+  const profile = profiles[network];
+
+  if (!profile) {
+    errors.push(
+      `Unknown network "${network}". Available networks: ${Object.keys(
+        profiles
+      ).join(", ")}`
+    );
+  }
+
+  // Fall back to the default profile so an unknown network is the only error reported for it
+  const config = {
+    ...defaults,
+    ...(profile ?? networkProfiles[defaults.network]),
+  };
+  const sources = Object.fromEntries(
+    Object.keys(profile ?? {}).map((name) => [
+      name,
+      `network profile ${network}`,
+    ])
+  );
+
+  for (const layer of layers) {
+    for (const [name, { value, source }] of Object.entries(layer)) {
+      config[name] = value;
+      sources[name] = source;
+    }
+  }
+
+  errors.push(...validateConfig(config, sources));
+
+  if (errors.length > 0) {
+    console.error(
+      `Invalid configuration:\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+    process.exit(1);
+  }
+
+  return config;
+}
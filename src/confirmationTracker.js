@@ -0,0 +1,315 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { scheduleTask } from "./timeManager.js";
+import { publicClient } from "./blockMonitor.js";
+import { removeFromWalletAddressCache } from "./cacheManager.js";
+import { formatFees } from "./feeStrategy.js";
+import { incrementCounter, weiToMon } from "./metrics.js";
+import { formatAmountSpread } from "./dropAmounts.js";
+import {
+  getRewardAsset,
+  isNativeReward,
+  isNftReward,
+  formatRewardAmount,
+} from "./rewardAsset.js";
+import { recordNftAward, releaseNftReward } from "./nftInventory.js";
+import { TransactionReceiptNotFoundError } from "viem";
+
+const pendingDrops = new Map();
+const trackedBatches = new Map();
+
+let isCheckingConfirmations = false;
+
+/**
+ * Initialize the confirmation tracker
+ *
+ * @returns {void}
+ */
+export function initializeConfirmationTracker() {
+  logger.info("Initializing confirmation tracker...");
+
+  scheduleTask(
+    "checkConfirmations",
+    checkPendingDrops,
+    config.confirmationPollInterval * 1000
+  );
+}
+
+/**
+ * Start tracking confirmations for the transactions of a batch
+ * Transactions that were already settled when sent (e.g. disperse calls) are only counted in the summary
+ *
+ * @param {number} batchNumber - Batch number the transactions belong to
+ * @param {Array} transactions - Transaction results from the batch
+ * @returns {void}
+ */
+export function trackBatch(batchNumber, transactions) {
+  const drops = transactions
+    .filter((tx) => tx.status !== "failed")
+    .map((tx) => ({
+      ...tx,
+      batch: batchNumber,
+      sentAt: Date.now(),
+      lastBroadcastAt: Date.now(),
+      hashes: [tx.hash],
+      replacements: [],
+      cancelHash: null,
+      status: tx.status === "sent" ? "pending" : tx.status,
+    }));
+
+  trackedBatches.set(batchNumber, {
+    drops,
+    sendFailures: transactions.length - drops.length,
+  });
+
+  for (const drop of drops) {
+    if (drop.status === "pending") {
+      pendingDrops.set(drop.hash, drop);
+    } else {
+      recordSettledDrop(drop);
+    }
+  }
+
+  logger.debug(
+    `Tracking ${drops.length} transactions for batch ${batchNumber} (Total pending: ${pendingDrops.size})`
+  );
+
+  completeBatchIfResolved(batchNumber);
+}
+
+/**
+ * Get the number of drops still waiting for confirmation
+ *
+ * @returns {number} Number of pending drops
+ */
+export function getPendingDropCount() {
+  return pendingDrops.size;
+}
+
+/**
+ * Get pending drops whose latest transaction was broadcast longer ago than the given age
+ *
+ * @param {number} ageMs - Minimum time since the last broadcast in milliseconds
+ * @returns {Array} Stuck drop records
+ */
+export function getStuckDrops(ageMs) {
+  const now = Date.now();
+
+  return [...pendingDrops.values()].filter(
+    (drop) => now - drop.lastBroadcastAt >= ageMs
+  );
+}
+
+/**
+ * Record a replacement transaction against the original drop record
+ * Receipts of the original and all replacements are watched until one of them is mined
+ *
+ * @param {object} drop - Original drop record
+ * @param {object} replacement - Replacement details
+ * @param {string} replacement.type - Replacement type ('speedup' or 'cancel')
+ * @param {string} replacement.hash - Hash of the replacement transaction
+ * @param {object} replacement.fees - Fee parameters of the replacement transaction
+ */
+export function recordReplacement(drop, { type, hash, fees }) {
+  drop.replacements.push({ type, hash, fees, sentAt: Date.now() });
+  drop.hashes.push(hash);
+  drop.fees = fees;
+  drop.lastBroadcastAt = Date.now();
+
+  if (type === "cancel") {
+    drop.cancelHash = hash;
+  }
+
+  logger.tx(
+    `🔁 ${type === "cancel" ? "Cancelled" : "Replaced"} stuck drop to ${
+      drop.to
+    } (original tx: ${drop.hash}, nonce: ${
+      drop.nonce
+    }) with tx ${hash} at ${formatFees(fees)}`,
+    { batch: drop.batch, address: drop.to, hash }
+  );
+}
+
+/**
+ * Poll receipts for all pending drops
+ *
+ * @returns {Promise<void>}
+ */
+async function checkPendingDrops() {
+  if (isCheckingConfirmations || pendingDrops.size === 0) {
+    return;
+  }
+
+  isCheckingConfirmations = true;
+
+  try {
+    logger.trace(`Checking receipts for ${pendingDrops.size} pending drops...`);
+
+    await Promise.allSettled(
+      [...pendingDrops.values()].map((drop) => checkDrop(drop))
+    );
+  } catch (error) {
+    logger.error(`Error checking pending drops: ${error.message}`);
+  } finally {
+    isCheckingConfirmations = false;
+  }
+}
+
+/**
+ * Check the receipt of a single pending drop
+ *
+ * @param {object} drop - Drop record to check
+ * @returns {Promise<void>}
+ */
+async function checkDrop(drop) {
+  // Only one transaction per nonce can be mined, so the first receipt found settles the drop
+  for (const hash of [...drop.hashes].reverse()) {
+    try {
+      const receipt = await publicClient.getTransactionReceipt({ hash });
+
+      drop.minedHash = hash;
+      drop.blockNumber = receipt.blockNumber;
+      drop.gasUsed = receipt.gasUsed;
+      drop.gasFee = receipt.gasUsed * receipt.effectiveGasPrice;
+
+      if (hash === drop.cancelHash) {
+        resolveDrop(drop, "cancelled");
+      } else {
+        resolveDrop(
+          drop,
+          receipt.status === "success" ? "confirmed" : "reverted",
+          receipt.logs
+        );
+      }
+      return;
+    } catch (error) {
+      if (!(error instanceof TransactionReceiptNotFoundError)) {
+        logger.debug(`Error fetching receipt for tx ${hash}: ${error.message}`);
+      }
+    }
+  }
+
+  if (Date.now() - drop.lastBroadcastAt >= config.confirmationTimeout * 1000) {
+    resolveDrop(drop, "timeout");
+  }
+}
+
+/**
+ * Count a settled drop and the MON it cost in the metrics, or the tokens it paid out for ERC-20 drops
+ * Only confirmed drops paid out their amount, but mined transactions paid gas either way
+ *
+ * @param {object} drop - Settled drop record
+ */
+function recordSettledDrop(drop) {
+  incrementCounter("drops_total", { status: drop.status });
+
+  if (drop.status === "confirmed" && isNativeReward()) {
+    incrementCounter(
+      "mon_spent_total",
+      { kind: "amount" },
+      weiToMon(drop.value)
+    );
+  } else if (drop.status === "confirmed") {
+    incrementCounter(
+      "tokens_dropped_total",
+      { token: getRewardAsset().symbol },
+      Number(formatRewardAmount(drop.value))
+    );
+  }
+
+  if (drop.gasFee) {
+    incrementCounter("mon_spent_total", { kind: "gas" }, weiToMon(drop.gasFee));
+  }
+}
+
+/**
+ * Mark a drop as resolved and complete its batch if it was the last pending one
+ *
+ * @param {object} drop - Drop record to resolve
+ * @param {string} status - Final status ('confirmed', 'reverted', 'cancelled', 'timeout')
+ * @param {Array} logs - Receipt logs of the mined transaction, for NFT drops (optional)
+ */
+function resolveDrop(drop, status, logs = []) {
+  const fields = {
+    category: "tx",
+    batch: drop.batch,
+    address: drop.to,
+    hash: drop.minedHash ?? drop.hash,
+    block: drop.blockNumber,
+  };
+
+  drop.status = status;
+  pendingDrops.delete(drop.hash);
+  recordSettledDrop(drop);
+
+  // A timed out drop may still be mined, so its token stays reserved
+  if (isNftReward() && status === "confirmed") {
+    recordNftAward(drop, logs);
+  } else if (isNftReward() && status !== "timeout") {
+    releaseNftReward(drop);
+  }
+
+  if (status === "confirmed") {
+    logger.tx(
+      `✅ Confirmed drop to ${drop.to} in block ${drop.blockNumber} (tx: ${drop.minedHash})`,
+      fields
+    );
+  } else if (status === "reverted") {
+    logger.error(
+      `❌ Drop to ${drop.to} reverted in block ${drop.blockNumber} (tx: ${drop.minedHash})`,
+      fields
+    );
+
+    // Nothing was paid, so the address stays eligible for the next drops
+    removeFromWalletAddressCache(drop.to);
+  } else if (status === "cancelled") {
+    logger.warn(
+      `🚫 Drop to ${drop.to} was cancelled in block ${drop.blockNumber} (original tx: ${drop.hash}, cancel tx: ${drop.minedHash})`,
+      fields
+    );
+
+    // Nothing was paid, so the address stays eligible for the next drops
+    removeFromWalletAddressCache(drop.to);
+  } else {
+    logger.warn(
+      `⌛ Drop to ${drop.to} not confirmed after ${config.confirmationTimeout}s (tx: ${drop.hash})`,
+      fields
+    );
+  }
+
+  completeBatchIfResolved(drop.batch);
+}
+
+/**
+ * Log the final summary of a batch once none of its drops are pending
+ * The amounts cover the confirmed drops only, as they are the ones that paid out
+ *
+ * @param {number} batchNumber - Batch number to check
+ */
+function completeBatchIfResolved(batchNumber) {
+  const batch = trackedBatches.get(batchNumber);
+
+  if (!batch || batch.drops.some((drop) => drop.status === "pending")) {
+    return;
+  }
+
+  const countByStatus = (status) =>
+    batch.drops.filter((drop) => drop.status === status).length;
+
+  logger.success(
+    `${
+      getRewardAsset().symbol
+    } drop batch ${batchNumber} complete: ${countByStatus(
+      "confirmed"
+    )} confirmed, ${countByStatus("reverted")} reverted, ${countByStatus(
+      "cancelled"
+    )} cancelled, ${countByStatus("timeout")} timed out, ${
+      batch.sendFailures
+    } failed to send. Paid out ${formatAmountSpread(
+      batch.drops.filter((drop) => drop.status === "confirmed")
+    )}`,
+    { category: "tx", batch: batchNumber }
+  );
+
+  trackedBatches.delete(batchNumber);
+}
@@ -0,0 +1,26 @@
+import { logger } from "./logger.js";
+import { initializeSenderPool, getSenders } from "./senderPool.js";
+import { deployDisperseContract } from "./disperse.js";
+
+/**
+ * Deploy the disperse contract from the first drop wallet
+ */
+async function deployDisperse() {
+  initializeSenderPool();
+
+  const [sender] = getSenders();
+  const address = await deployDisperseContract(sender);
+
+  logger.success(
+    `Disperse contract deployed at ${address}. Set DISPERSE_CONTRACT_ADDRESS=${address} in your .env file to use it`
+  );
+}
+
+if (import.meta.url.endsWith(process.argv[1])) {
+  deployDisperse()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error(`Failed to deploy disperse contract: ${error.message}`);
+      process.exit(1);
+    });
+}
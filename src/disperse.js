@@ -0,0 +1,96 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { publicClient } from "./blockMonitor.js";
+import { parseAbi } from "viem";
+
+// Compiled from contracts/Disperse.sol with solc 0.8.24 and the settings in contracts/Disperse.settings.json
+// Run `npm run compile:disperse` to check it still matches the source
+export const DISPERSE_BYTECODE =
+  "0x608060405234801561001057600080fd5b50610332806100206000396000f3fe60806040526004361061001e5760003560e01c8063e63d38ed14610023575b600080fd5b61003661003136600461024a565b610038565b005b82811461007e5760405162461bcd60e51b815260206004820152600f60248201526e098cadccee8d040dad2e6dac2e8c6d608b1b60448201526064015b60405180910390fd5b60005b8381101561016557600085858381811061009d5761009d6102b6565b90506020020160208101906100b291906102cc565b6001600160a01b03168484848181106100cd576100cd6102b6565b9050602002013560405160006040518083038185875af1925050503d8060008114610114576040519150601f19603f3d011682016040523d82523d6000602084013e610119565b606091505b505090508061015c5760405162461bcd60e51b815260206004820152600f60248201526e151c985b9cd9995c8819985a5b1959608a1b6044820152606401610075565b50600101610081565b504780156101f757604051600090339083908381818185875af1925050503d80600081146101af576040519150601f19603f3d011682016040523d82523d6000602084013e6101b4565b606091505b50509050806101f55760405162461bcd60e51b815260206004820152600d60248201526c1499599d5b990819985a5b1959609a1b6044820152606401610075565b505b5050505050565b60008083601f84011261021057600080fd5b50813567ffffffffffffffff81111561022857600080fd5b6020830191508360208260051b850101111561024357600080fd5b9250929050565b6000806000806040858703121561026057600080fd5b843567ffffffffffffffff8082111561027857600080fd5b610284888389016101fe565b9096509450602087013591508082111561029d57600080fd5b506102aa878288016101fe565b95989497509550505050565b634e487b7160e01b600052603260045260246000fd5b6000602082840312156102de57600080fd5b81356001600160a01b03811681146102f557600080fd5b939250505056fea26469706673582212207bc109f8fe57d4a21637222504d0beb53f02eac2db366d3db1648b3cdbc4e14964736f6c63430008180033";
+
+export const disperseAbi = parseAbi([
+  "function disperseEther(address[] recipients, uint256[] values) payable",
+]);
+
+/**
+ * Check if the configured disperse contract address has code deployed
+ * Calls to an address without code succeed without sending anything, so this must hold before using disperse mode
+ *
+ * @returns {Promise<boolean>} True if the disperse contract is deployed
+ */
+export async function isDisperseContractDeployed() {
+  if (!config.disperseContractAddress) {
+    return false;
+  }
+
+  const code = await publicClient.getCode({
+    address: config.disperseContractAddress,
+    blockTag: "latest",
+  });
+
+  return Boolean(code && code.length > 2);
+}
+
+/**
+ * Deploy the disperse contract from a sender pool wallet
+ *
+ * @param {object} sender - Sender pool wallet to deploy from
+ * @returns {Promise<string>} Address of the deployed contract
+ */
+export async function deployDisperseContract(sender) {
+  logger.info(`Deploying disperse contract from ${sender.account.address}...`);
+
+  const hash = await sender.walletClient.deployContract({
+    abi: disperseAbi,
+    bytecode: DISPERSE_BYTECODE,
+  });
+
+  logger.tx(`Disperse contract deployment sent in tx: ${hash}`, { hash });
+
+  const receipt = await publicClient.waitForTransactionReceipt({
+    hash,
+    timeout: config.confirmationTimeout * 1000,
+  });
+
+  if (receipt.status !== "success" || !receipt.contractAddress) {
+    throw new Error(`Disperse contract deployment reverted (tx: ${hash})`);
+  }
+
+  return receipt.contractAddress;
+}
+
+/**
+ * Send a whole batch to the disperse contract in one transaction and wait for its receipt
+ * The call is simulated first, so a batch that would revert fails before anything is broadcast
+ *
+ * @param {object} sender - Sender pool wallet to send from
+ * @param {Array<string>} recipients - Recipient addresses
+ * @param {Array<bigint>} values - Amounts in wei, one per recipient
+ * @param {object} fees - Fee parameters to send with
+ * @returns {Promise<{hash: string, receipt: object}>} Transaction hash and receipt
+ */
+export async function sendDisperseBatch(sender, recipients, values, fees) {
+  const { request } = await publicClient.simulateContract({
+    account: sender.account,
+    address: config.disperseContractAddress,
+    abi: disperseAbi,
+    functionName: "disperseEther",
+    args: [recipients, values],
+    value: values.reduce((total, value) => total + value, 0n),
+    ...fees,
+  });
+
+  const hash = await sender.walletClient.writeContract(request);
+
+  logger.tx(
+    `📤 Sent disperse call for ${recipients.length} addresses from ${sender.account.address} in tx: ${hash}`,
+    { hash }
+  );
+
+  const receipt = await publicClient.waitForTransactionReceipt({
+    hash,
+    timeout: config.confirmationTimeout * 1000,
+  });
+
+  return { hash, receipt };
+}
@@ -0,0 +1,215 @@
+import { config } from "./config.js";
+import { getActivityWeight } from "./addressSelector.js";
+import {
+  getRewardAsset,
+  parseRewardAmount,
+  formatRewardAmount,
+} from "./rewardAsset.js";
+
+// Precision of the random draws and multipliers applied to amounts
+const AMOUNT_PRECISION = 1_000_000n;
+
+/**
+ * Multiply an amount in base units by a fractional multiplier
+ *
+ * @param {bigint} amount - Amount in base units
+ * @param {number} multiplier - Multiplier to apply
+ * @returns {bigint} Scaled amount in base units
+ */
+function scaleAmount(amount, multiplier) {
+  return (
+    (amount * BigInt(Math.round(multiplier * Number(AMOUNT_PRECISION)))) /
+    AMOUNT_PRECISION
+  );
+}
+
+/**
+ * Pick the lucky tier of a recipient in 'tiered' strategy
+ * Tiers are rolled in the order they are configured, and recipients outside all of them get the base amount
+ *
+ * @returns {number} Multiplier on amountPerDrop
+ */
+function rollTierMultiplier() {
+  const roll = Math.random();
+  let cumulativeChance = 0;
+
+  for (const tier of config.amountTiers) {
+    cumulativeChance += tier.chance;
+    if (roll < cumulativeChance) {
+      return tier.multiplier;
+    }
+  }
+
+  return 1;
+}
+
+/**
+ * Pick the amount to drop to every recipient with the configured amountStrategy
+ * NFT drops always drop the collection's fixed amount per drop
+ *
+ * @param {Array<string>} addresses - Recipient addresses
+ * @param {Map} activity - Activity by address in the scanned blocks, used by 'activity' strategy (optional)
+ * @returns {Array<{to: string, amount: bigint, tier?: string}>} Recipients with their amount in base units, and their tier in 'tiered' strategy
+ */
+export function getDropAmounts(addresses, activity = new Map()) {
+  const { isNft, amountPerDrop } = getRewardAsset();
+  if (isNft) {
+    return addresses.map((to) => ({ to, amount: amountPerDrop }));
+  }
+
+  const baseAmount = parseRewardAmount(config.amountPerDrop);
+
+  return addresses.map((to) => {
+    switch (config.amountStrategy) {
+      case "random": {
+        const min = parseRewardAmount(config.amountRandomMin);
+        const max = parseRewardAmount(config.amountRandomMax);
+        const draw = BigInt(
+          Math.floor(Math.random() * (Number(AMOUNT_PRECISION) + 1))
+        );
+
+        return { to, amount: min + ((max - min) * draw) / AMOUNT_PRECISION };
+      }
+
+      case "tiered": {
+        const multiplier = rollTierMultiplier();
+        return {
+          to,
+          amount: scaleAmount(baseAmount, multiplier),
+          tier: `${multiplier}x`,
+        };
+      }
+
+      case "activity": {
+        const addressActivity = activity.get(to.toLowerCase()) ?? {
+          sent: 0,
+          received: 0,
+        };
+        const multiplier = Math.min(
+          getActivityWeight(addressActivity),
+          config.amountActivityMaxMultiplier
+        );
+
+        return { to, amount: scaleAmount(baseAmount, multiplier) };
+      }
+
+      case "fixed":
+      default:
+        return { to, amount: baseAmount };
+    }
+  });
+}
+
+/**
+ * Estimate the average amount per drop of the configured amountStrategy
+ * 'activity' strategy depends on the scanned blocks, so its maximum is used
+ *
+ * @returns {number} Amount in whole units of the reward asset
+ */
+export function estimateAmountPerDrop() {
+  switch (config.amountStrategy) {
+    case "random":
+      return (config.amountRandomMin + config.amountRandomMax) / 2;
+
+    case "tiered":
+      return config.amountTiers.reduce(
+        (total, tier) =>
+          total + tier.chance * (tier.multiplier - 1) * config.amountPerDrop,
+        config.amountPerDrop
+      );
+
+    case "activity":
+      return config.amountPerDrop * config.amountActivityMaxMultiplier;
+
+    case "fixed":
+    default:
+      return config.amountPerDrop;
+  }
+}
+
+/**
+ * Describe the configured amountStrategy for the startup banner
+ *
+ * @returns {string} Description, e.g. '0.05-0.2 MON (random)'
+ */
+export function describeAmountStrategy() {
+  if (config.rewardAsset === "erc721" || config.rewardAsset === "erc1155") {
+    const copies =
+      config.rewardAsset === "erc1155" && config.nftAmountPerDrop > 1
+        ? ` x${config.nftAmountPerDrop}`
+        : "";
+    return `${config.rewardAsset.replace("erc", "ERC-")} badges${copies} (${
+      config.nftDropMode === "mint" ? "minted" : "transferred"
+    })`;
+  }
+
+  // The token symbol is only looked up once the RPC pool is up, after the banner
+  const symbol =
+    config.rewardAsset === "erc20" ? "tokens" : config.currencySymbol;
+
+  switch (config.amountStrategy) {
+    case "random":
+      return `${config.amountRandomMin}-${config.amountRandomMax} ${symbol} (random)`;
+
+    case "tiered":
+      return `${config.amountPerDrop} ${symbol} (${config.amountTiers
+        .map(
+          (tier) =>
+            `${tier.multiplier}x for ${+(tier.chance * 100).toFixed(8)}%`
+        )
+        .join(", ")})`;
+
+    case "activity":
+      return `${config.amountPerDrop}-${+(
+        config.amountPerDrop * config.amountActivityMaxMultiplier
+      ).toFixed(8)} ${symbol} (by activity)`;
+
+    case "fixed":
+    default:
+      return `${config.amountPerDrop} ${symbol}`;
+  }
+}
+
+/**
+ * Summarize the amounts of a set of drops for batch summaries
+ *
+ * @param {Array<{value: bigint, tier?: string}>} drops - Drops with their amount in base units
+ * @returns {string} Total and spread of the amounts, with the count per tier in 'tiered' strategy
+ */
+export function formatAmountSpread(drops) {
+  const { symbol } = getRewardAsset();
+
+  if (drops.length === 0) {
+    return `0 ${symbol}`;
+  }
+
+  const amounts = drops
+    .map((drop) => drop.value)
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+  const min = amounts[0];
+  const max = amounts[amounts.length - 1];
+
+  let spread =
+    min === max
+      ? `${formatRewardAmount(min)} ${symbol} each`
+      : `min ${formatRewardAmount(min)}, median ${formatRewardAmount(
+          amounts[Math.floor(amounts.length / 2)]
+        )}, max ${formatRewardAmount(max)} ${symbol}`;
+
+  const tierCounts = new Map();
+  for (const { tier } of drops) {
+    if (tier) {
+      tierCounts.set(tier, (tierCounts.get(tier) ?? 0) + 1);
+    }
+  }
+
+  if (tierCounts.size > 0) {
+    spread += `; tiers ${[...tierCounts.entries()]
+      .sort(([a], [b]) => parseFloat(a) - parseFloat(b))
+      .map(([tier, count]) => `${tier}: ${count}`)
+      .join(", ")}`;
+  }
+
+  return `${formatRewardAmount(total)} ${symbol} total (${spread})`;
+}
@@ -0,0 +1,277 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import {
+  getCurrentBatch,
+  incrementBatch,
+  incrementDropCount,
+  getPauseReason,
+} from "./batchManager.js";
+import { getFeeParameters, formatFees } from "./feeStrategy.js";
+import { saveStore } from "./persistentStore.js";
+import { getDropAmounts, formatAmountSpread } from "./dropAmounts.js";
+import { applySpendBudget, recordSpend } from "./spendBudget.js";
+import {
+  getRewardAsset,
+  isNativeReward,
+  formatRewardAmount,
+} from "./rewardAsset.js";
+import { formatEther } from "viem";
+
+const REPORT_STORE_NAME = "dry-run-report";
+
+const simulatedBatches = [];
+const timesPaid = new Map();
+// Batches the spend budgets paused drops at, with the budget that ran out
+const budgetPauses = [];
+let droppedByBudget = 0;
+
+let startedAt = null;
+let isFinished = false;
+
+/**
+ * Initialize dry-run mode
+ * The report is written when the process exits, after dryRunDuration or when it is stopped
+ * Writing it on exit (rather than on SIGINT/SIGTERM) means it is written even though the time manager exits on those signals
+ *
+ * @returns {void}
+ */
+export function initializeDropSimulator() {
+  logger.warn(
+    `Dry-run mode: drops are simulated and no ${
+      getRewardAsset().symbol
+    } is sent`
+  );
+
+  startedAt = Date.now();
+
+  if (config.dryRunDuration > 0) {
+    logger.info(
+      `Dry run ends in ${config.dryRunDuration}s. Stop it earlier with Ctrl+C to get the report`
+    );
+    setTimeout(() => process.exit(0), config.dryRunDuration * 1000);
+  }
+
+  process.on("exit", finishDryRun);
+}
+
+/**
+ * Simulate a drop to the selected addresses in place of sendTokens
+ * Records who would have been paid, how much, and the estimated gas cost at the current fees
+ * The spend budgets trim and pause simulated batches like real ones, so the report shows what a live run would spend
+ *
+ * @param {Array} addresses - Array of recipient addresses
+ * @param {Map} activity - Activity by address in the scanned blocks, for the 'activity' amount strategy (optional)
+ * @returns {Promise<Array>} Simulated transaction results
+ */
+export async function simulateDrop(addresses, activity) {
+  if (!addresses || !addresses.length) {
+    logger.warn("No addresses provided for dropping tokens");
+    return [];
+  }
+
+  const batchNumber = getCurrentBatch();
+  const fees = await getFeeParameters();
+
+  // Estimated at the max fee and gas limit of a transfer, so it is an upper bound
+  const gasCost =
+    getRewardAsset().transferGas * (fees.maxFeePerGas ?? fees.gasPrice);
+
+  const drops = getDropAmounts(addresses, activity);
+  const recipients = applySpendBudget(drops, gasCost, batchNumber);
+  droppedByBudget += drops.length - recipients.length;
+
+  if (recipients.length === 0) {
+    if (getPauseReason() !== null) {
+      budgetPauses.push({
+        batch: batchNumber,
+        time: Date.now(),
+        reason: getPauseReason(),
+      });
+    }
+    return [];
+  }
+
+  const transactions = recipients.map(({ to, amount, tier }) => ({
+    to,
+    value: amount,
+    tier,
+    estimatedGasCost: gasCost,
+    status: "simulated",
+  }));
+
+  for (const { to } of transactions) {
+    timesPaid.set(to, (timesPaid.get(to) ?? 0) + 1);
+  }
+
+  simulatedBatches.push({
+    batch: batchNumber,
+    time: Date.now(),
+    fees: formatFees(fees),
+    trimmedByBudget: drops.length - recipients.length,
+    transactions,
+  });
+
+  logger.tx(
+    `🧪 [DRY RUN] Would send ${formatAmountSpread(transactions)} to ${
+      transactions.length
+    } addresses (Estimated gas: ${formatEther(
+      gasCost * BigInt(transactions.length)
+    )} ${config.currencySymbol}, Fees: ${formatFees(fees)})`,
+    { batch: batchNumber }
+  );
+
+  recordSpend(transactions, gasCost);
+  incrementBatch();
+  incrementDropCount();
+
+  return transactions;
+}
+
+/**
+ * Sum a field over simulated transactions
+ *
+ * @param {Array} transactions - Simulated transactions
+ * @param {string} field - Field to sum ('value' or 'estimatedGasCost')
+ * @returns {bigint} Sum in base units
+ */
+function sumField(transactions, field) {
+  return transactions.reduce((total, tx) => total + tx[field], 0n);
+}
+
+/**
+ * Build the dry-run report from the simulated drops so far
+ *
+ * @returns {object} Report with amounts in the native currency
+ */
+export function buildDryRunReport() {
+  const endedAt = Date.now();
+  const durationSeconds = (endedAt - (startedAt ?? endedAt)) / 1000;
+  const transactions = simulatedBatches.flatMap((batch) => batch.transactions);
+
+  const totalAmount = sumField(transactions, "value");
+  const totalGasCost = sumField(transactions, "estimatedGasCost");
+
+  // Amounts and gas only add up when the reward is the native currency
+  const isNative = isNativeReward();
+
+  /**
+   * Project an amount over an hour of running at the same pace
+   *
+   * @param {bigint} amount - Amount in base units over the dry run
+   * @param {Function} format - Function formatting the projected amount
+   * @returns {string} Projected amount per hour
+   */
+  const perHour = (amount, format) =>
+    durationSeconds > 0
+      ? format(
+          (amount * 3600n * 1000n) / BigInt(Math.round(durationSeconds * 1000))
+        )
+      : "0";
+
+  return {
+    startedAt: new Date(startedAt ?? endedAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    durationSeconds,
+    currency: getRewardAsset().symbol,
+    gasCurrency: config.currencySymbol,
+    settings: {
+      rewardAsset: config.rewardAsset,
+      rewardTokenAddress: getRewardAsset().address,
+      nftDropMode: config.nftDropMode,
+      addressesPerBatch: config.addressesPerBatch,
+      amountStrategy: config.amountStrategy,
+      amountPerDrop: config.amountPerDrop,
+      amountRandomMin: config.amountRandomMin,
+      amountRandomMax: config.amountRandomMax,
+      amountTiers: config.amountTiers,
+      amountActivityMaxMultiplier: config.amountActivityMaxMultiplier,
+      dropInterval: config.dropInterval,
+      cooldownBatches: config.cooldownBatches,
+      selectionMode: config.selectionMode,
+      sybilDetection: config.sybilDetection,
+      eligibilityMinNonce: config.eligibilityMinNonce,
+      eligibilityMaxBalance: config.eligibilityMaxBalance,
+      eligibilityMinAccountAgeBlocks: config.eligibilityMinAccountAgeBlocks,
+      hourlySpendCap: config.hourlySpendCap,
+      dailySpendCap: config.dailySpendCap,
+      recipientLifetimeCap: config.recipientLifetimeCap,
+    },
+    batches: simulatedBatches.length,
+    drops: transactions.length,
+    uniqueRecipients: timesPaid.size,
+    repeatRecipients: [...timesPaid.values()].filter((times) => times > 1)
+      .length,
+    totalAmount: formatRewardAmount(totalAmount),
+    totalEstimatedGasCost: formatEther(totalGasCost),
+    totalSpend: isNative ? formatEther(totalAmount + totalGasCost) : null,
+    droppedByBudget,
+    budgetPauses: budgetPauses.map((pause) => ({
+      ...pause,
+      time: new Date(pause.time).toISOString(),
+    })),
+    projectedSpendPerHour: {
+      amount: perHour(totalAmount, formatRewardAmount),
+      estimatedGasCost: perHour(totalGasCost, formatEther),
+      total: isNative ? perHour(totalAmount + totalGasCost, formatEther) : null,
+    },
+    batchLog: simulatedBatches.map((batch) => ({
+      batch: batch.batch,
+      time: new Date(batch.time).toISOString(),
+      fees: batch.fees,
+      trimmedByBudget: batch.trimmedByBudget,
+      amount: formatRewardAmount(sumField(batch.transactions, "value")),
+      estimatedGasCost: formatEther(
+        sumField(batch.transactions, "estimatedGasCost")
+      ),
+      recipients: batch.transactions.map((tx) => ({
+        address: tx.to,
+        amount: formatRewardAmount(tx.value),
+        tier: tx.tier,
+        estimatedGasCost: formatEther(tx.estimatedGasCost),
+      })),
+    })),
+  };
+}
+
+/**
+ * Write the dry-run report to the data directory and log its summary
+ * Runs on exit, so everything here must be synchronous
+ */
+function finishDryRun() {
+  if (isFinished) {
+    return;
+  }
+  isFinished = true;
+
+  const report = buildDryRunReport();
+  const { currency, gasCurrency, projectedSpendPerHour } = report;
+
+  logger.success(
+    `🧪 Dry run complete after ${Math.round(report.durationSeconds)}s: ${
+      report.batches
+    } batches, ${report.drops} drops to ${
+      report.uniqueRecipients
+    } unique recipients (${report.repeatRecipients} paid more than once)`
+  );
+  logger.success(
+    `🧪 Would have spent ${report.totalAmount} ${currency} + ${
+      report.totalEstimatedGasCost
+    } ${gasCurrency} estimated gas. Projected spend per hour: ${
+      projectedSpendPerHour.total !== null
+        ? `${projectedSpendPerHour.total} ${currency}`
+        : `${projectedSpendPerHour.amount} ${currency} + ${projectedSpendPerHour.estimatedGasCost} ${gasCurrency} gas`
+    }`
+  );
+
+  if (report.droppedByBudget > 0) {
+    logger.warn(
+      `🧪 Spend budgets left out ${report.droppedByBudget} drops and paused drops ${report.budgetPauses.length} times`
+    );
+  }
+
+  if (saveStore(REPORT_STORE_NAME, report)) {
+    logger.success(
+      `🧪 Dry-run report written to ${config.dataDirectory}/${REPORT_STORE_NAME}.json`
+    );
+  }
+}
@@ -0,0 +1,205 @@
+import fs from "node:fs";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { checkClient } from "./blockMonitor.js";
+import { parseNativeAmount } from "./rewardAsset.js";
+
+const rules = [];
+
+/**
+ * Load a list of addresses from a file
+ * Expects one address per line; blank lines and lines starting with '#' are ignored
+ *
+ * @param {string} filePath - Path to the list file
+ * @returns {Set<string>} Lowercased addresses
+ */
+function loadAddressList(filePath) {
+  const addresses = fs
+    .readFileSync(filePath, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => line.toLowerCase());
+
+  return new Set(addresses);
+}
+
+/**
+ * Register an eligibility rule
+ * Rules run in registration order, each one only on the candidates the previous rules kept
+ *
+ * @param {object} rule - Rule to register
+ * @param {string} rule.name - Name of the rule, used in logs
+ * @param {Function} rule.check - Async function taking an address and the rule's context, and returning true if it is eligible
+ * @param {Function} [rule.prepare] - Async function returning the context shared by all checks of one run, e.g. the chain head
+ */
+export function registerEligibilityRule(rule) {
+  rules.push(rule);
+  logger.debug(`Registered eligibility rule "${rule.name}"`);
+}
+
+/**
+ * Initialize the eligibility rules engine with the rules enabled in the config
+ *
+ * @returns {void}
+ */
+export function initializeEligibilityRules() {
+  logger.info("Initializing eligibility rules...");
+
+  if (config.eligibilityDenyListFile) {
+    const denyList = loadAddressList(config.eligibilityDenyListFile);
+    logger.info(`Loaded ${denyList.size} addresses into the deny list`);
+
+    registerEligibilityRule({
+      name: "denyList",
+      check: async (address) => !denyList.has(address.toLowerCase()),
+    });
+  }
+
+  if (config.eligibilityAllowListFile) {
+    const allowList = loadAddressList(config.eligibilityAllowListFile);
+    logger.info(`Loaded ${allowList.size} addresses into the allow list`);
+
+    registerEligibilityRule({
+      name: "allowList",
+      check: async (address) => allowList.has(address.toLowerCase()),
+    });
+  }
+
+  if (config.eligibilityMinNonce > 0) {
+    registerEligibilityRule({
+      name: "minNonce",
+      check: async (address) => {
+        const nonce = await checkClient.getTransactionCount({
+          address,
+          blockTag: "latest",
+        });
+        return nonce >= config.eligibilityMinNonce;
+      },
+    });
+  }
+
+  if (config.eligibilityMaxBalance > 0) {
+    const maxBalance = parseNativeAmount(config.eligibilityMaxBalance);
+
+    registerEligibilityRule({
+      name: "maxBalance",
+      check: async (address) => {
+        const balance = await checkClient.getBalance({
+          address,
+          blockTag: "latest",
+        });
+        return balance <= maxBalance;
+      },
+    });
+  }
+
+  if (config.eligibilityMinAccountAgeBlocks > 0) {
+    registerEligibilityRule({
+      name: "minAccountAge",
+      prepare: async () => ({
+        latestBlock: await checkClient.getBlockNumber(),
+      }),
+      check: async (address, { latestBlock }) => {
+        // An account is old enough if it had sent a transaction or held funds that many blocks ago
+        const blockNumber =
+          latestBlock - BigInt(config.eligibilityMinAccountAgeBlocks);
+
+        if (blockNumber < 0n) {
+          return false;
+        }
+
+        const [nonce, balance] = await Promise.all([
+          checkClient.getTransactionCount({ address, blockNumber }),
+          checkClient.getBalance({ address, blockNumber }),
+        ]);
+        return nonce > 0 || balance > 0n;
+      },
+    });
+  }
+
+  logger.info(
+    `Eligibility rules enabled: ${
+      rules.length > 0 ? rules.map((rule) => rule.name).join(", ") : "none"
+    }`
+  );
+}
+
+/**
+ * Filter candidates through all registered eligibility rules
+ * Addresses whose check fails (e.g. an RPC without historical state) are left out of this run without counting as ineligible,
+ * so they are checked again the next time they are active
+ *
+ * @param {Array} addresses - Candidate addresses
+ * @returns {Promise<Array>} Eligible addresses
+ */
+export async function applyEligibilityRules(addresses) {
+  if (rules.length === 0) {
+    return addresses;
+  }
+
+  let candidates = addresses;
+  const removedByRule = [];
+  let uncheckedCount = 0;
+
+  for (const rule of rules) {
+    let context;
+    try {
+      context = rule.prepare ? await rule.prepare() : undefined;
+    } catch (error) {
+      logger.warn(
+        `Error preparing eligibility rule "${rule.name}": ${error.message}. Leaving all ${candidates.length} candidates out of this batch`
+      );
+      uncheckedCount += candidates.length;
+      candidates = [];
+      break;
+    }
+
+    const eligible = [];
+    const failures = [];
+
+    const batchSize = 50; // Don't change this unless you know what you're doing
+    for (let i = 0; i < candidates.length; i += batchSize) {
+      const batch = candidates.slice(i, i + batchSize);
+
+      const results = await Promise.all(
+        batch.map(async (address) => {
+          try {
+            return await rule.check(address, context);
+          } catch (error) {
+            failures.push({ address, error });
+            return null;
+          }
+        })
+      );
+
+      batch.forEach((address, index) => {
+        if (results[index]) {
+          eligible.push(address);
+        }
+      });
+    }
+
+    if (failures.length > 0) {
+      logger.warn(
+        `Eligibility rule "${rule.name}" couldn't be checked for ${failures.length} addresses, leaving them out of this batch (First error for ${failures[0].address}: ${failures[0].error.message})`
+      );
+      uncheckedCount += failures.length;
+    }
+
+    removedByRule.push(
+      `${rule.name}=${candidates.length - eligible.length - failures.length}`
+    );
+    candidates = eligible;
+  }
+
+  logger.info(
+    `Eligibility rules kept ${candidates.length} of ${
+      addresses.length
+    } candidates (Removed: ${removedByRule.join(", ")}${
+      uncheckedCount > 0 ? `, unchecked=${uncheckedCount}` : ""
+    })`
+  );
+
+  return candidates;
+}
@@ -0,0 +1,141 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { publicClient } from "./blockMonitor.js";
+
+/**
+ * Cap a fee at the configured ceiling
+ *
+ * @param {bigint} fee - Fee in wei
+ * @returns {bigint} Capped fee in wei
+ */
+function capFee(fee) {
+  return fee > config.feeCeiling ? config.feeCeiling : fee;
+}
+
+/**
+ * Get the fixed legacy fee parameters
+ *
+ * @returns {{gasPrice: bigint}} Legacy fee parameters
+ */
+function getLegacyFees() {
+  return { gasPrice: capFee(config.gasPrice) };
+}
+
+/**
+ * Get EIP-1559 fee parameters from the recent fee history
+ * The priority fee is the median of the configured reward percentile over recent blocks,
+ * and the max fee leaves headroom for the base fee to rise
+ *
+ * @returns {Promise<{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}>} EIP-1559 fee parameters
+ */
+async function getDynamicFees() {
+  const feeHistory = await publicClient.getFeeHistory({
+    blockCount: config.feeHistoryBlocks,
+    rewardPercentiles: [config.priorityFeePercentile],
+  });
+
+  // The last entry is the base fee of the next block
+  const nextBaseFee =
+    feeHistory.baseFeePerGas[feeHistory.baseFeePerGas.length - 1];
+
+  const rewards = (feeHistory.reward ?? [])
+    .map((blockRewards) => blockRewards[0])
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const priorityFee =
+    rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : 0n;
+
+  const maxFeePerGas = capFee(
+    (nextBaseFee * BigInt(Math.round(config.baseFeeMultiplier * 100))) / 100n +
+      priorityFee
+  );
+  const maxPriorityFeePerGas =
+    priorityFee > maxFeePerGas ? maxFeePerGas : priorityFee;
+
+  if (maxFeePerGas === config.feeCeiling) {
+    logger.warn(
+      `Max fee per gas capped at the fee ceiling of ${formatFees({
+        gasPrice: config.feeCeiling,
+      })} (Next base fee: ${formatFees({ gasPrice: nextBaseFee })})`
+    );
+  }
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Get the fee parameters to send transactions with, based on the configured fee mode
+ * Falls back to the fixed legacy gas price if the fee history can't be read
+ *
+ * @returns {Promise<object>} Fee parameters ({gasPrice} or {maxFeePerGas, maxPriorityFeePerGas})
+ */
+export async function getFeeParameters() {
+  if (config.feeMode === "legacy") {
+    return getLegacyFees();
+  }
+
+  try {
+    const fees = await getDynamicFees();
+    logger.debug(`Using dynamic fees: ${formatFees(fees)}`);
+    return fees;
+  } catch (error) {
+    logger.warn(
+      `Error reading fee history: ${error.message}. Falling back to fixed gas price...`
+    );
+    return getLegacyFees();
+  }
+}
+
+/**
+ * Bump fee parameters by the configured percentage, capped at the fee ceiling
+ * Every fee goes up by at least 1 wei, so zero or tiny priority fees of quiet chains can still be bumped
+ * Nodes reject a replacement that doesn't raise every fee, so fees already at the ceiling can't be bumped
+ *
+ * @param {object} fees - Fee parameters to bump
+ * @returns {object|null} Bumped fee parameters of the same kind, or null if a fee is already at the ceiling
+ */
+export function bumpFees(fees) {
+  const bump = (fee) => {
+    const bumped = (fee * BigInt(100 + config.gasBumpPercent)) / 100n;
+    return capFee(bumped > fee ? bumped : fee + 1n);
+  };
+
+  let bumped;
+  if (fees.gasPrice !== undefined) {
+    bumped = { gasPrice: bump(fees.gasPrice) };
+  } else {
+    const maxFeePerGas = bump(fees.maxFeePerGas);
+    const maxPriorityFeePerGas = bump(fees.maxPriorityFeePerGas);
+    bumped = {
+      maxFeePerGas,
+      // The priority fee can't be above the max fee once the max fee is capped
+      maxPriorityFeePerGas:
+        maxPriorityFeePerGas > maxFeePerGas
+          ? maxFeePerGas
+          : maxPriorityFeePerGas,
+    };
+  }
+
+  const isRaised = Object.entries(bumped).every(
+    ([name, fee]) => fee > fees[name]
+  );
+
+  return isRaised ? bumped : null;
+}
+
+/**
+ * Format fee parameters in gwei for logging
+ *
+ * @param {object} fees - Fee parameters to format
+ * @returns {string} Formatted fee parameters
+ */
+export function formatFees(fees) {
+  const toGwei = (fee) => `${Number(fee) / 10 ** 9} gwei`;
+
+  if (fees.gasPrice !== undefined) {
+    return toGwei(fees.gasPrice);
+  }
+
+  return `${toGwei(fees.maxFeePerGas)} max, ${toGwei(
+    fees.maxPriorityFeePerGas
+  )} priority`;
+}
@@ -0,0 +1,85 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Create a log sink that appends entries to a file and rotates it by size and age
+ * Rotated files are renamed to '<file>.1', '<file>.2', ... with '.1' the most recent
+ *
+ * @param {object} options - File sink options
+ * @param {string} options.filePath - Path of the log file
+ * @param {Function} options.format - Function turning a log entry into a line
+ * @param {number} options.maxSize - Maximum size of the file before it is rotated (in bytes)
+ * @param {number} options.maxAge - Maximum age of the file before it is rotated (in milliseconds)
+ * @param {number} options.maxFiles - How many rotated files to keep
+ * @returns {Function} Log sink taking a log entry
+ */
+export function createRotatingFileSink({
+  filePath,
+  format,
+  maxSize,
+  maxAge,
+  maxFiles,
+}) {
+  let fd = null;
+  let size = 0;
+  let openedAt = 0;
+
+  /**
+   * Open the log file for appending, picking up the size and age of an existing file
+   */
+  const open = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fd = fs.openSync(filePath, "a");
+
+    const stats = fs.fstatSync(fd);
+    size = stats.size;
+    openedAt = stats.size > 0 ? stats.birthtimeMs || stats.mtimeMs : Date.now();
+  };
+
+  /**
+   * Shift the rotated files up by one and start a new log file
+   */
+  const rotate = () => {
+    fs.closeSync(fd);
+    fd = null;
+
+    fs.rmSync(`${filePath}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${filePath}.${i}`)) {
+        fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+      }
+    }
+
+    if (maxFiles > 0) {
+      fs.renameSync(filePath, `${filePath}.1`);
+    } else {
+      fs.rmSync(filePath, { force: true });
+    }
+
+    open();
+  };
+
+  return (entry) => {
+    try {
+      if (fd === null) {
+        open();
+      }
+
+      const line = `${format(entry)}\n`;
+      const lineSize = Buffer.byteLength(line);
+
+      if (
+        size > 0 &&
+        (size + lineSize > maxSize || Date.now() - openedAt > maxAge)
+      ) {
+        rotate();
+      }
+
+      fs.writeSync(fd, line);
+      size += lineSize;
+    } catch (error) {
+      // Logging must never take the bot down, so fall back to the console
+      console.error(`Error writing to log file ${filePath}: ${error.message}`);
+    }
+  };
+}
@@ -1,4 +1,5 @@
 import { config } from "./config.js";
+import { createRotatingFileSink } from "./logFileSink.js";
 
 const colors = {
   reset: "\x1b[0m",
@@ -19,8 +20,127 @@ const LogLevel = {
   TRACE: -1,
 };
 
+// Label and color of each log level and info category in text format
+const categoryStyles = {
+  info: { label: "[INFO]   ", color: colors.blue },
+  success: { label: "[SUCCESS]", color: colors.green },
+  error: { label: "[ERROR]  ", color: colors.red },
+  warn: { label: "[WARN]   ", color: colors.yellow },
+  debug: { label: "[DEBUG]  ", color: colors.white },
+  trace: { label: "[TRACE]  ", color: colors.white },
+  block: { label: "[BLOCK]  ", color: colors.cyan },
+  tx: { label: "[TX]     ", color: colors.green },
+};
+
 let currentLogLevel = LogLevel[config.logLevel];
 
+const sinks = [];
+
+/**
+ * Serialize a log entry as one line of JSON
+ * Bigints (block numbers, amounts in wei) are written as strings
+ *
+ * @param {object} entry - Log entry
+ * @returns {string} JSON line
+ */
+function formatJson(entry) {
+  return JSON.stringify(entry, (key, value) =>
+    typeof value === "bigint" ? value.toString() : value
+  );
+}
+
+/**
+ * Format a log entry as a text line
+ *
+ * @param {object} entry - Log entry
+ * @param {boolean} useColors - Whether to color the label
+ * @returns {string} Text line
+ */
+function formatText(entry, useColors) {
+  // Errors and warnings keep their label whatever their category
+  const style = entry.level === "info" ? entry.category : entry.level;
+  const { label, color } = categoryStyles[style] ?? categoryStyles.info;
+
+  return useColors
+    ? `${color}${label}${colors.reset} ${entry.time} ${entry.message}`
+    : `${label} ${entry.time} ${entry.message}`;
+}
+
+/**
+ * Write a log entry to the console, in the configured log format
+ *
+ * @param {object} entry - Log entry
+ */
+function consoleSink(entry) {
+  const line =
+    config.logFormat === "json" ? formatJson(entry) : formatText(entry, true);
+
+  switch (entry.level) {
+    case "error":
+      console.error(line);
+      break;
+    case "warn":
+      console.warn(line);
+      break;
+    case "debug":
+    case "trace":
+      // This is set to debug to skip stack traces
+      console.debug(line);
+      break;
+    default:
+      console.log(line);
+  }
+}
+
+/**
+ * Register a log sink that receives every log entry that passes the log level
+ * Entries carry time, level, category and message, plus any structured fields passed to the logger (e.g. batch, address, hash)
+ *
+ * @param {Function} sink - Function taking a log entry
+ */
+export function registerLogSink(sink) {
+  sinks.push(sink);
+}
+
+/**
+ * Build a log entry and hand it to all sinks
+ *
+ * @param {string} level - Entry level ('info', 'warn', 'error', 'debug' or 'trace')
+ * @param {string} category - Entry category ('info', 'success', 'block', 'tx', ...), can be overridden by fields.category
+ * @param {string} message - Message to log
+ * @param {object} fields - Structured fields to add to the entry
+ */
+function writeEntry(level, category, message, fields) {
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    category,
+    message,
+    ...fields,
+  };
+
+  for (const sink of sinks) {
+    sink(entry);
+  }
+}
+
+registerLogSink(consoleSink);
+
+if (config.logFile) {
+  registerLogSink(
+    createRotatingFileSink({
+      filePath: config.logFile,
+      format:
+        config.logFileFormat === "text"
+          ? (entry) => formatText(entry, false)
+          : formatJson,
+      maxSize: config.logFileMaxSize * 1024 * 1024,
+      maxAge: config.logFileMaxAge * 60 * 60 * 1000,
+      maxFiles: config.logFileMaxFiles,
+    })
+  );
+}
+
 export const logger = {
   /**
    * Set the current logging level
@@ -45,107 +165,82 @@ export const logger = {
   /**
    * Log information message
    * @param {string} message - Message to log
+   * @param {object} fields - Structured fields to add to the entry (optional)
    */
-  info: (message) => {
+  info: (message, fields = {}) => {
     if (currentLogLevel <= LogLevel.INFO) {
-      console.log(
-        `${colors.blue}[INFO]   ${
-          colors.reset
-        } ${new Date().toISOString()} ${message}`
-      );
+      writeEntry("info", "info", message, fields);
     }
   },
 
   /**
    * Log success message
    * @param {string} message - Message to log
+   * @param {object} fields - Structured fields to add to the entry (optional)
    */
-  success: (message) => {
-    console.log(
-      `${colors.green}[SUCCESS]${
-        colors.reset
-      } ${new Date().toISOString()} ${message}`
-    );
+  success: (message, fields = {}) => {
+    writeEntry("info", "success", message, fields);
   },
 
   /**
    * Log error message
    * @param {string} message - Message to log
+   * @param {object} fields - Structured fields to add to the entry (optional)
    */
-  error: (message) => {
+  error: (message, fields = {}) => {
     if (currentLogLevel <= LogLevel.ERROR) {
-      console.error(
-        `${colors.red}[ERROR]  ${
-          colors.reset
-        } ${new Date().toISOString()} ${message}`
-      );
+      writeEntry("error", "error", message, fields);
     }
   },
 
   /**
    * Log warning message
    * @param {string} message - Message to log
+   * @param {object} fields - Structured fields to add to the entry (optional)
    */
-  warn: (message) => {
+  warn: (message, fields = {}) => {
     if (currentLogLevel <= LogLevel.WARN) {
-      console.warn(
-        `${colors.yellow}[WARN]   ${
-          colors.reset
-        } ${new Date().toISOString()} ${message}`
-      );
+      writeEntry("warn", "warn", message, fields);
     }
   },
 
   /**
    * Log debug message
    * @param {string} message - Message to log
+   * @param {object} fields - Structured fields to add to the entry (optional)
    */
-  debug: (message) => {
+  debug: (message, fields = {}) => {
     if (currentLogLevel <= LogLevel.DEBUG) {
-      console.debug(
-        `${colors.white}[DEBUG]  ${
-          colors.reset
-        } ${new Date().toISOString()} ${message}`
-      );
+      writeEntry("debug", "debug", message, fields);
     }
   },
 
   /**
    * Log trace message
    * @param {string} message - Message to log
+   * @param {object} fields - Structured fields to add to the entry (optional)
    */
-  trace: (message) => {
+  trace: (message, fields = {}) => {
     if (currentLogLevel <= LogLevel.TRACE) {
-      // This is set to debug to skip stack traces
-      console.debug(
-        `${colors.white}[TRACE]  ${
-          colors.reset
-        } ${new Date().toISOString()} ${message}`
-      );
+      writeEntry("trace", "trace", message, fields);
     }
   },
 
   /**
    * Log block information
    * @param {string} message - Message to log
+   * @param {object} fields - Structured fields to add to the entry (optional)
    */
-  block: (message) => {
-    console.log(
-      `${colors.cyan}[BLOCK]  ${
-        colors.reset
-      } ${new Date().toISOString()} ${message}`
-    );
+  block: (message, fields = {}) => {
+    writeEntry("info", "block", message, fields);
   },
 
   /**
    * Log transaction information
    * @param {string} message - Message to log
+   * @param {object} fields - Structured fields to add to the entry (optional)
    */
-  tx: (message) => {
-    console.log(
-      `${colors.green}[TX]     ${
-        colors.reset
-      } ${new Date().toISOString()} ${message}`
-    );
+  tx: (message, fields = {}) => {
+    writeEntry("info", "tx", message, fields);
   },
 };
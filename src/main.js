@@ -1,11 +1,29 @@
 import { config } from "./config.js";
 import { logger } from "./logger.js";
 import { initializeWallet, sendTokens } from "./tokenSender.js";
-import { initializeBatchManager } from "./batchManager.js";
+import { initializeBatchManager, getPauseReason } from "./batchManager.js";
 import { initializeCacheManager } from "./cacheManager.js";
+import { initializeSybilDetector } from "./sybilDetector.js";
+import { initializeConfirmationTracker } from "./confirmationTracker.js";
+import { initializeStuckTransactionMonitor } from "./stuckTransactionMonitor.js";
 import { startBlockMonitor } from "./blockMonitor.js";
-import { extractAddressesFromBlocks } from "./addressParser.js";
+import { initializeRpcPool } from "./rpcPool.js";
+import { initializeRateLimiter } from "./rateLimiter.js";
+import { initializeAdminServer } from "./adminServer.js";
+import { initializeMetricsServer } from "./metrics.js";
+import { initializeAlerting, raiseAlert } from "./alerting.js";
+import { initializeDropSimulator, simulateDrop } from "./dropSimulator.js";
+import { initializeSpendBudget } from "./spendBudget.js";
+import { describeAmountStrategy } from "./dropAmounts.js";
+import {
+  initializeRewardAsset,
+  getRewardAsset,
+  isNftReward,
+} from "./rewardAsset.js";
+import { initializeNftInventory } from "./nftInventory.js";
+import { extractAddressActivity } from "./addressParser.js";
 import { selectRandomAddresses } from "./addressSelector.js";
+import { initializeEligibilityRules } from "./eligibilityRules.js";
 import { clearAllScheduledTasks } from "./timeManager.js";
 
 /**
@@ -15,22 +33,42 @@ import { clearAllScheduledTasks } from "./timeManager.js";
  */
 async function processBlocks(blocks) {
   try {
-    const addresses = extractAddressesFromBlocks(blocks);
+    if (getPauseReason() !== null) {
+      logger.info(
+        `${
+          getRewardAsset().symbol
+        } drops are paused (${getPauseReason()}). Skipping ${
+          blocks.length
+        } blocks...`
+      );
+      return;
+    }
+
+    const activity = extractAddressActivity(blocks);
+    const addresses = Array.from(activity.keys());
 
     if (addresses.length === 0) {
       logger.info("No active addresses found in the new blocks. Skipping...");
       return;
     }
 
-    const selectedAddresses = await selectRandomAddresses(addresses);
+    const selectedAddresses = await selectRandomAddresses(
+      addresses,
+      config.addressesPerBatch,
+      activity
+    );
 
     if (selectedAddresses.length === 0) {
       logger.info("No suitable wallet addresses found. Skipping...");
       return;
     }
 
-    sendTokens(selectedAddresses).catch((error) => {
-      logger.error(`Error during $MON drop: ${error.message}`);
+    const drop = config.dryRun ? simulateDrop : sendTokens;
+
+    drop(selectedAddresses, activity).catch((error) => {
+      logger.error(
+        `Error during ${getRewardAsset().symbol} drop: ${error.message}`
+      );
     });
   } catch (error) {
     logger.error(`Error processing blocks: ${error.message}`);
@@ -45,15 +83,36 @@ async function initialize() {
     console.log("=".repeat(78));
     console.log(`🚀 Starting MonDrop...`);
     console.log(
-      `💰 Dropping ${config.amountPerDrop.toFixed(8)} MON to ${
+      `💰 Dropping ${describeAmountStrategy()} to ${
         config.addressesPerBatch
       } active addresses every ${config.dropInterval}s`
     );
+    if (config.dryRun) {
+      console.log(`🧪 Dry run: drops are simulated, nothing is sent`);
+    }
     console.log("=".repeat(78) + "\n");
 
-    await initializeWallet();
+    initializeAlerting();
+    initializeRateLimiter();
+    await initializeRpcPool();
+    await initializeRewardAsset();
+    if (config.dryRun) {
+      initializeDropSimulator();
+    } else {
+      await initializeWallet();
+      if (isNftReward()) {
+        await initializeNftInventory();
+      }
+    }
     initializeBatchManager();
     initializeCacheManager();
+    initializeSpendBudget();
+    initializeEligibilityRules();
+    initializeSybilDetector();
+    initializeConfirmationTracker();
+    initializeStuckTransactionMonitor();
+    await initializeAdminServer();
+    await initializeMetricsServer();
 
     return true;
   } catch (error) {
@@ -71,11 +130,18 @@ async function startMonDrop() {
     logger.error(error.stack);
 
     clearAllScheduledTasks();
+
+    raiseAlert(
+      "uncaughtException",
+      `Uncaught exception: ${error.message}. Scheduled tasks stopped`
+    );
   });
 
   process.on("unhandledRejection", (reason, promise) => {
     logger.error(`Unhandled rejection at: ${promise}`);
     logger.error(`Reason: ${reason}`);
+
+    raiseAlert("unhandledRejection", `Unhandled rejection: ${reason}`);
   });
 
   try {
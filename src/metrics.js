@@ -0,0 +1,280 @@
+import http from "node:http";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+const METRIC_PREFIX = "mondrop_";
+
+// Counters updated by the modules as things happen
+const counters = new Map(
+  Object.entries({
+    blocks_processed_total: "Blocks scanned for active addresses",
+    addresses_extracted_total:
+      "Active addresses extracted from the scanned blocks",
+    contract_checks_total: "Contract checks by result (cache hit or miss)",
+    drops_sent_total: "Drops broadcast, whether or not they settle later",
+    drops_total:
+      "Drops by final status (failed to send, confirmed, reverted, cancelled, timeout)",
+    mon_spent_total:
+      "MON spent on settled drops, by kind (drop amount or gas fee)",
+    tokens_dropped_total:
+      "ERC-20 tokens or NFTs paid out by confirmed drops, by token",
+  }).map(([name, help]) => [name, { help, values: new Map() }])
+);
+
+/**
+ * Initialize the Prometheus metrics server
+ *
+ * @returns {Promise<void>}
+ */
+export async function initializeMetricsServer() {
+  if (!config.metricsEnabled) {
+    return;
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found\n");
+      return;
+    }
+
+    renderMetrics()
+      .then((body) => {
+        res.writeHead(200, {
+          "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+        });
+        res.end(body);
+      })
+      .catch((error) => {
+        logger.error(`Error rendering metrics: ${error.message}`);
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        res.end("Internal server error\n");
+      });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(config.metricsPort, config.metricsHost, resolve);
+  });
+
+  logger.info(
+    `Metrics available on http://${config.metricsHost}:${config.metricsPort}/metrics`
+  );
+}
+
+/**
+ * Increment a counter
+ *
+ * @param {string} name - Counter name without the 'mondrop_' prefix
+ * @param {object} labels - Label values (optional)
+ * @param {number} value - Amount to increment by (optional)
+ */
+export function incrementCounter(name, labels = {}, value = 1) {
+  const counter = counters.get(name);
+  if (!counter) {
+    throw new Error(`Unknown counter "${name}"`);
+  }
+
+  // Samples are keyed by their formatted labels
+  const key = formatLabels(labels);
+  const sample = counter.values.get(key) ?? { labels, value: 0 };
+  sample.value += value;
+  counter.values.set(key, sample);
+}
+
+/**
+ * Format labels in the Prometheus text format
+ *
+ * @param {object} labels - Label values
+ * @returns {string} Formatted labels, e.g. '{status="confirmed"}', or an empty string if there are none
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+
+  return `{${entries
+    .map(
+      ([name, value]) =>
+        `${name}="${String(value)
+          .replace(/\\/g, "\\\\")
+          .replace(/"/g, '\\"')
+          .replace(/\n/g, "\\n")}"`
+    )
+    .join(",")}}`;
+}
+
+/**
+ * Format one metric with its help text, type and samples
+ *
+ * @param {string} name - Metric name without the 'mondrop_' prefix
+ * @param {string} type - Metric type ('counter' or 'gauge')
+ * @param {string} help - Help text
+ * @param {Array<{labels: object, value: number}>} samples - Samples of the metric
+ * @returns {string} Formatted metric
+ */
+function formatMetric(name, type, help, samples) {
+  const lines = [
+    `# HELP ${METRIC_PREFIX}${name} ${help}`,
+    `# TYPE ${METRIC_PREFIX}${name} ${type}`,
+  ];
+
+  for (const { labels, value } of samples) {
+    lines.push(`${METRIC_PREFIX}${name}${formatLabels(labels)} ${value}`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Convert an amount in wei to MON
+ *
+ * @param {bigint} wei - Amount in wei
+ * @returns {number} Amount in MON
+ */
+export function weiToMon(wei) {
+  return Number(wei) / 10 ** 18;
+}
+
+/**
+ * Read the gauges from the modules that own the state
+ *
+ * @returns {Promise<Array>} Gauges as [name, help, samples]
+ */
+async function collectGauges() {
+  // Import here to avoid circular dependency
+  const { getSenders } = await import("./senderPool.js");
+  const { getWalletAddressCacheSize, getContractAddressCacheSize } =
+    await import("./cacheManager.js");
+  const { getBufferedBlockCount, getBlockLag } = await import(
+    "./blockMonitor.js"
+  );
+  const { getTransactionQueueLength } = await import("./tokenSender.js");
+  const { getPendingDropCount } = await import("./confirmationTracker.js");
+  const { getPauseReason } = await import("./batchManager.js");
+  const { getRewardAsset, isNftReward, formatRewardAmount } = await import(
+    "./rewardAsset.js"
+  );
+  const { getNftInventoryStatus } = await import("./nftInventory.js");
+
+  const blockLag = getBlockLag();
+  const nftRemaining = isNftReward() ? getNftInventoryStatus().remaining : null;
+
+  return [
+    [
+      "wallet_balance_mon",
+      "Balance of each drop wallet in MON, as of the last balance refresh",
+      getSenders()
+        .filter((sender) => sender.balance !== null)
+        .map((sender) => ({
+          labels: { address: sender.account.address },
+          value: weiToMon(sender.balance),
+        })),
+    ],
+    [
+      "wallet_token_balance",
+      "ERC-20 or ERC-721 reward token balance of each drop wallet, as of the last balance refresh",
+      getSenders()
+        .filter((sender) => sender.tokenBalance !== null)
+        .map((sender) => ({
+          labels: {
+            address: sender.account.address,
+            token: getRewardAsset().symbol,
+          },
+          value: Number(formatRewardAmount(sender.tokenBalance)),
+        })),
+    ],
+    [
+      "cache_size",
+      "Number of addresses in each cache",
+      [
+        { labels: { cache: "wallet" }, value: getWalletAddressCacheSize() },
+        { labels: { cache: "contract" }, value: getContractAddressCacheSize() },
+      ],
+    ],
+    [
+      "queue_depth",
+      "Items waiting in each queue (buffered blocks, queued batches, pending drops)",
+      [
+        { labels: { queue: "blocks" }, value: getBufferedBlockCount() },
+        { labels: { queue: "batches" }, value: getTransactionQueueLength() },
+        { labels: { queue: "pending_drops" }, value: getPendingDropCount() },
+      ],
+    ],
+    [
+      "block_lag",
+      "Blocks between the chain head and the last processed block",
+      blockLag === null ? [] : [{ labels: {}, value: blockLag }],
+    ],
+    [
+      "nft_inventory_remaining",
+      "NFT drops left in the inventory, for NFT drops with a limited inventory",
+      nftRemaining === null
+        ? []
+        : [
+            {
+              labels: { token: getRewardAsset().symbol },
+              value: nftRemaining,
+            },
+          ],
+    ],
+    [
+      "drops_paused",
+      "Whether drops are paused (1) or running (0)",
+      [{ labels: {}, value: getPauseReason() === null ? 0 : 1 }],
+    ],
+  ];
+}
+
+/**
+ * Read the RPC rate limiter stats as counters
+ *
+ * @returns {Promise<Array>} Counters as [name, help, samples]
+ */
+async function collectRateLimiterCounters() {
+  const { getRateLimiterStats } = await import("./rateLimiter.js");
+  const stats = Object.entries(getRateLimiterStats());
+
+  return [
+    [
+      "rpc_requests_total",
+      "RPC requests by rate limiter priority class",
+      stats.map(([priority, { requests }]) => ({
+        labels: { priority },
+        value: requests,
+      })),
+    ],
+    [
+      "rpc_queued_seconds_total",
+      "Time RPC requests spent queued in the rate limiter, by priority class",
+      stats.map(([priority, { totalQueuedMs }]) => ({
+        labels: { priority },
+        value: totalQueuedMs / 1000,
+      })),
+    ],
+  ];
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ *
+ * @returns {Promise<string>} Metrics
+ */
+export async function renderMetrics() {
+  const sections = [];
+
+  for (const [name, { help, values }] of counters.entries()) {
+    sections.push(formatMetric(name, "counter", help, [...values.values()]));
+  }
+
+  for (const [name, help, samples] of await collectRateLimiterCounters()) {
+    sections.push(formatMetric(name, "counter", help, samples));
+  }
+
+  for (const [name, help, samples] of await collectGauges()) {
+    sections.push(formatMetric(name, "gauge", help, samples));
+  }
+
+  return sections.join("\n") + "\n";
+}
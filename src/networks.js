@@ -0,0 +1,43 @@
+/**
+ * Network profiles, selected with the 'network' setting
+ * A profile sets the chain and its default endpoints, and can still be overridden setting by setting
+ * More profiles can be added under 'networks' in the config file
+ */
+export const networkProfiles = {
+  "monad-testnet": {
+    chainId: 10143,
+    networkName: "Monad Testnet",
+    networkShortName: "monad-testnet",
+    currencyDecimals: 18,
+    currencyName: "Monad",
+    currencySymbol: "MON",
+    rpcUrl: "https://testnet-rpc.monad.xyz/",
+    wsRpcUrl: "wss://testnet-rpc.monad.xyz/",
+    blockExplorerName: "Monad Explorer",
+    blockExplorerUrl: "https://testnet.monadexplorer.com/",
+  },
+  sepolia: {
+    chainId: 11155111,
+    networkName: "Sepolia",
+    networkShortName: "sepolia",
+    currencyDecimals: 18,
+    currencyName: "Sepolia Ether",
+    currencySymbol: "ETH",
+    rpcUrl: "https://ethereum-sepolia-rpc.publicnode.com",
+    wsRpcUrl: "wss://ethereum-sepolia-rpc.publicnode.com",
+    blockExplorerName: "Etherscan",
+    blockExplorerUrl: "https://sepolia.etherscan.io/",
+  },
+  local: {
+    chainId: 31337,
+    networkName: "Local",
+    networkShortName: "local",
+    currencyDecimals: 18,
+    currencyName: "Ether",
+    currencySymbol: "ETH",
+    rpcUrl: "http://127.0.0.1:8545",
+    wsRpcUrl: "ws://127.0.0.1:8545",
+    blockExplorerName: "",
+    blockExplorerUrl: "",
+  },
+};
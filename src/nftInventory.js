@@ -0,0 +1,492 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { publicClient } from "./blockMonitor.js";
+import { pauseDrops, resumeDrops, getPauseReason } from "./batchManager.js";
+import { removeFromWalletAddressCache } from "./cacheManager.js";
+import { getSenders, getSender } from "./senderPool.js";
+import { loadStore, saveStore } from "./persistentStore.js";
+import { raiseAlert, resolveAlert } from "./alerting.js";
+import {
+  getRewardAsset,
+  getRewardAssetKey,
+  erc1155Abi,
+} from "./rewardAsset.js";
+import {
+  ContractFunctionRevertedError,
+  ExecutionRevertedError,
+  erc721Abi,
+  parseAbi,
+  parseEventLogs,
+} from "viem";
+
+const AWARDS_STORE_NAME = "nft-awards";
+
+// How many token IDs to look up at once when scanning the inventory
+const INVENTORY_SCAN_CONCURRENCY = 20;
+
+// Events that carry the token ID of a mint or transfer
+const TRANSFER_EVENTS_ABI = [
+  ...erc721Abi.filter(
+    (item) => item.type === "event" && item.name === "Transfer"
+  ),
+  ...parseAbi([
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  ]),
+];
+
+// Token IDs that can still be dropped, with the wallet holding them and the number of drops left of each
+let inventory = [];
+let nextItemIndex = 0;
+// Mint drops, sent but not yet confirmed
+let pendingMints = 0;
+// Every confirmed drop of the current collection, oldest first
+let awards = [];
+// Awards of other collections or chains, kept so they are saved back untouched
+let otherAwards = [];
+
+let inventoryPauseReason = null;
+
+/**
+ * Expand the configured nftTokenIds into single token IDs
+ *
+ * @returns {Array<bigint>} Token IDs, in the order they are configured
+ */
+function getConfiguredTokenIds() {
+  const tokenIds = [];
+
+  for (const item of config.nftTokenIds) {
+    const [start, end = start] = item.split("-").map(BigInt);
+    for (let tokenId = start; tokenId <= end; tokenId++) {
+      tokenIds.push(tokenId);
+    }
+  }
+
+  return [...new Set(tokenIds)];
+}
+
+/**
+ * Run a lookup for every item of a list, a few at a time
+ *
+ * @param {Array} items - Items to look up
+ * @param {Function} lookup - Async lookup of a single item
+ * @returns {Promise<Array>} Lookup results, in the order of the items
+ */
+async function lookupAll(items, lookup) {
+  const results = [];
+
+  for (let i = 0; i < items.length; i += INVENTORY_SCAN_CONCURRENCY) {
+    results.push(
+      ...(await Promise.all(
+        items.slice(i, i + INVENTORY_SCAN_CONCURRENCY).map(lookup)
+      ))
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Look up the owner of an ERC-721 token
+ *
+ * @param {bigint} tokenId - Token ID
+ * @returns {Promise<string|null>} Owner address, or null if the token isn't minted
+ */
+async function getTokenOwner(tokenId) {
+  try {
+    return await publicClient.readContract({
+      address: getRewardAsset().address,
+      abi: erc721Abi,
+      functionName: "ownerOf",
+      args: [tokenId],
+      blockTag: "latest",
+    });
+  } catch (error) {
+    // ownerOf reverts for tokens that don't exist yet, any other error is a failed lookup
+    // Nodes report reverts differently, so the node's own message is checked too
+    const isRevert = error.walk?.(
+      (cause) =>
+        cause instanceof ContractFunctionRevertedError ||
+        cause instanceof ExecutionRevertedError ||
+        /revert/i.test(cause.details ?? "")
+    );
+    if (isRevert) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build the inventory of token IDs that can still be dropped
+ * Transfers can drop the tokens the drop wallets hold, mints the token IDs that aren't minted or awarded yet
+ *
+ * @returns {Promise<Array<{tokenId: bigint|null, holder: string|null, remaining: number}>>} Inventory items
+ */
+async function scanInventory() {
+  const { type, amountPerDrop, mintUsesTokenId } = getRewardAsset();
+  const isMint = config.nftDropMode === "mint";
+
+  // Mints without a token ID are only limited by nftMintLimit
+  if (isMint && !mintUsesTokenId) {
+    return [];
+  }
+
+  const tokenIds = getConfiguredTokenIds();
+
+  if (type === "erc1155" && isMint) {
+    // ERC-1155 token IDs can be minted again, so every configured ID stays available
+    return tokenIds.map((tokenId) => ({
+      tokenId,
+      holder: null,
+      remaining: Infinity,
+    }));
+  }
+
+  if (type === "erc1155") {
+    const holdings = getSenders().flatMap((sender) =>
+      tokenIds.map((tokenId) => ({ tokenId, holder: sender.account.address }))
+    );
+    const balances = await lookupAll(holdings, ({ tokenId, holder }) =>
+      publicClient.readContract({
+        address: getRewardAsset().address,
+        abi: erc1155Abi,
+        functionName: "balanceOf",
+        args: [holder, tokenId],
+        blockTag: "latest",
+      })
+    );
+
+    return holdings
+      .map((holding, i) => ({
+        ...holding,
+        remaining: Number(balances[i] / amountPerDrop),
+      }))
+      .filter((item) => item.remaining > 0);
+  }
+
+  const owners = await lookupAll(tokenIds, getTokenOwner);
+  const awardedTokenIds = new Set(awards.map((award) => award.tokenId));
+
+  return tokenIds
+    .map((tokenId, i) => ({ tokenId, owner: owners[i] }))
+    .filter(({ tokenId, owner }) =>
+      isMint
+        ? owner === null && !awardedTokenIds.has(tokenId.toString())
+        : owner !== null && getSender(owner)
+    )
+    .map(({ tokenId, owner }) => ({
+      tokenId,
+      holder: isMint ? null : getSender(owner).account.address,
+      remaining: 1,
+    }));
+}
+
+/**
+ * Initialize the NFT inventory and restore the awards so far
+ * Only awards of the configured collection on this chain count toward its inventory and nftMintLimit
+ * Drops of the collection stop once the inventory runs out
+ *
+ * @returns {Promise<void>}
+ */
+export async function initializeNftInventory() {
+  logger.info("Initializing NFT inventory...");
+
+  const state = loadStore(AWARDS_STORE_NAME);
+  const asset = getRewardAssetKey();
+  // Awards saved before the asset was recorded are taken to be of the collection configured now
+  const savedAwards = (state?.awards ?? []).map((award) => ({
+    asset,
+    ...award,
+  }));
+  awards = savedAwards.filter((award) => award.asset === asset);
+  otherAwards = savedAwards.filter((award) => award.asset !== asset);
+
+  inventory = await scanInventory();
+
+  const status = getNftInventoryStatus();
+  logger.info(
+    `NFT inventory: ${formatRemaining(status.remaining)} drops left, ${
+      awards.length
+    } awarded so far`
+  );
+
+  if (status.remaining === 0) {
+    logger.warn(
+      `No ${
+        getRewardAsset().symbol
+      } left to drop. Drops will pause until the inventory is topped up and the bot restarted`
+    );
+  }
+}
+
+/**
+ * Format the number of drops left for logging
+ *
+ * @param {number|null} remaining - Drops left, null if unlimited
+ * @returns {string} Formatted number
+ */
+function formatRemaining(remaining) {
+  return remaining === null ? "unlimited" : String(remaining);
+}
+
+/**
+ * Count the drops the inventory still allows
+ * In 'mint' mode, nftMintLimit caps the drops too, with or without '{tokenId}'
+ *
+ * @returns {number} Drops left (Infinity if unlimited)
+ */
+function countRemaining() {
+  const { mintUsesTokenId } = getRewardAsset();
+  const isMint = config.nftDropMode === "mint";
+  const mintsLeft =
+    isMint && config.nftMintLimit > 0
+      ? Math.max(config.nftMintLimit - awards.length - pendingMints, 0)
+      : Infinity;
+
+  if (isMint && !mintUsesTokenId) {
+    return mintsLeft;
+  }
+
+  return Math.min(
+    inventory.reduce((total, item) => total + item.remaining, 0),
+    mintsLeft
+  );
+}
+
+/**
+ * Take the next token to drop out of the inventory
+ * Items are taken in round-robin order, so ERC-1155 drops cycle through the configured token IDs
+ *
+ * @returns {object|null} Inventory item, or null if the inventory is exhausted
+ */
+function takeNextItem() {
+  const { mintUsesTokenId } = getRewardAsset();
+  const isMint = config.nftDropMode === "mint";
+
+  if (countRemaining() === 0) {
+    return null;
+  }
+
+  if (isMint && !mintUsesTokenId) {
+    pendingMints++;
+    return { tokenId: null, holder: null };
+  }
+
+  for (let i = 0; i < inventory.length; i++) {
+    const index = (nextItemIndex + i) % inventory.length;
+    const item = inventory[index];
+
+    if (item.remaining > 0) {
+      item.remaining--;
+      if (isMint) {
+        pendingMints++;
+      }
+      nextItemIndex = (index + 1) % inventory.length;
+      return item;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Allocate a token to every recipient of a batch before it is sent
+ * The batch is trimmed to what the inventory has left, and trimmed recipients are released from the cooldown
+ * If the inventory is exhausted, drops are paused and an inventoryExhausted alert is raised
+ *
+ * @param {Array<{to: string, amount: bigint}>} drops - Recipients with their amount per drop
+ * @param {number} batchNumber - Batch number, for logging
+ * @returns {Promise<Array<{to: string, amount: bigint, tokenId: bigint|null, holder?: string}>>} Recipients with their token ID, and the wallet holding it for transfers
+ */
+export async function allocateNftRewards(drops, batchNumber) {
+  const allocated = [];
+
+  for (const drop of drops) {
+    const item = takeNextItem();
+    if (!item) {
+      break;
+    }
+
+    allocated.push({
+      ...drop,
+      tokenId: item.tokenId,
+      ...(item.holder ? { holder: item.holder } : {}),
+    });
+  }
+
+  if (allocated.length < drops.length) {
+    for (const { to } of drops.slice(allocated.length)) {
+      removeFromWalletAddressCache(to);
+    }
+  }
+
+  if (allocated.length === 0 && drops.length > 0) {
+    const reason = `NFT inventory exhausted (${awards.length} ${
+      getRewardAsset().symbol
+    } awarded)`;
+
+    logger.warn(`NFT: Skipping batch ${batchNumber}, no tokens left to drop`, {
+      batch: batchNumber,
+    });
+
+    inventoryPauseReason = reason;
+    pauseDrops(reason);
+    await raiseAlert(
+      "inventoryExhausted",
+      `${reason}. Drops are paused until tokens are released by failed drops or the inventory is topped up`
+    );
+    return [];
+  }
+
+  if (allocated.length < drops.length) {
+    logger.warn(
+      `NFT: Trimming batch ${batchNumber} from ${drops.length} to ${allocated.length} recipients, the inventory is running out`,
+      { batch: batchNumber }
+    );
+  }
+
+  return allocated;
+}
+
+/**
+ * Put the token of a drop that didn't go through back into the inventory
+ * Resumes drops if they were paused because the inventory was exhausted
+ *
+ * @param {object} drop - Failed, reverted or cancelled drop with its token ID and holder
+ * @returns {void}
+ */
+export function releaseNftReward(drop) {
+  if (drop.tokenId === undefined) {
+    return;
+  }
+
+  if (config.nftDropMode === "mint") {
+    pendingMints = Math.max(pendingMints - 1, 0);
+  }
+
+  if (drop.tokenId !== null) {
+    const holder = drop.holder?.toLowerCase() ?? null;
+    const item = inventory.find(
+      (item) =>
+        item.tokenId === drop.tokenId &&
+        (item.holder?.toLowerCase() ?? null) === holder
+    );
+
+    if (!item) {
+      return;
+    }
+    item.remaining++;
+  }
+
+  logger.debug(
+    `NFT: Released ${
+      drop.tokenId === null ? "a mint" : `#${drop.tokenId}`
+    } of the drop to ${drop.to}`
+  );
+
+  if (
+    inventoryPauseReason !== null &&
+    getPauseReason() === inventoryPauseReason
+  ) {
+    inventoryPauseReason = null;
+    resumeDrops();
+    resolveAlert(
+      "inventoryExhausted",
+      "Tokens were released by failed drops. Drops resumed"
+    ).catch((error) => {
+      logger.error(`Error resolving inventory alert: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * Record the token awarded by a confirmed drop
+ * Mints without a configured token ID get theirs from the Transfer or TransferSingle event of the receipt
+ *
+ * @param {object} drop - Confirmed drop
+ * @param {Array} logs - Receipt logs of the drop
+ * @returns {void}
+ */
+export function recordNftAward(drop, logs) {
+  if (drop.tokenId === undefined) {
+    return;
+  }
+
+  let tokenIds = [drop.tokenId];
+
+  if (config.nftDropMode === "mint") {
+    pendingMints = Math.max(pendingMints - 1, 0);
+  }
+
+  if (drop.tokenId === null) {
+    const { address } = getRewardAsset();
+    const minted = parseEventLogs({ abi: TRANSFER_EVENTS_ABI, logs })
+      .filter(
+        (log) =>
+          log.address.toLowerCase() === address.toLowerCase() &&
+          log.args.to.toLowerCase() === drop.to.toLowerCase()
+      )
+      .map((log) => log.args.tokenId ?? log.args.id);
+
+    if (minted.length > 0) {
+      tokenIds = minted;
+    } else {
+      logger.warn(
+        `NFT: No token ID found in the receipt of the drop to ${drop.to} (tx: ${drop.minedHash})`
+      );
+    }
+  }
+
+  for (const tokenId of tokenIds) {
+    awards.push({
+      asset: getRewardAssetKey(),
+      to: drop.to,
+      tokenId: tokenId === null ? null : tokenId.toString(),
+      amount: drop.value.toString(),
+      hash: drop.minedHash ?? drop.hash,
+      batch: drop.batch,
+      awardedAt: new Date().toISOString(),
+    });
+
+    logger.tx(
+      `🏅 Awarded ${getRewardAsset().symbol}${
+        tokenId === null ? "" : ` #${tokenId}`
+      } to ${drop.to}`,
+      { batch: drop.batch, address: drop.to, hash: drop.minedHash }
+    );
+  }
+
+  // Saved right away, so a crash can't lose track of who got which token
+  saveStore(AWARDS_STORE_NAME, {
+    savedAt: Date.now(),
+    awards: [...otherAwards, ...awards],
+  });
+}
+
+/**
+ * Get the awards of the current collection so far, optionally only those of one recipient
+ *
+ * @param {string} to - Recipient address (optional)
+ * @returns {Array<object>} Awards, oldest first
+ */
+export function getNftAwards(to) {
+  return to
+    ? awards.filter((award) => award.to.toLowerCase() === to.toLowerCase())
+    : awards;
+}
+
+/**
+ * Get the drops left in the inventory and the awards so far
+ *
+ * @returns {object} Inventory status
+ */
+export function getNftInventoryStatus() {
+  const remaining = countRemaining();
+
+  return {
+    mode: config.nftDropMode,
+    remaining: remaining === Infinity ? null : remaining,
+    pendingMints,
+    awarded: awards.length,
+  };
+}
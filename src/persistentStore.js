@@ -0,0 +1,63 @@
+import fs from "node:fs";
+import path from "node:path";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+
+/**
+ * Get the file path of a named store
+ *
+ * @param {string} name - Name of the store
+ * @returns {string} Absolute path to the store file
+ */
+function getStorePath(name) {
+  return path.resolve(config.dataDirectory, `${name}.json`);
+}
+
+/**
+ * Load a named store from disk
+ *
+ * @param {string} name - Name of the store
+ * @returns {object|null} Stored data, or null if the store doesn't exist or can't be read
+ */
+export function loadStore(name) {
+  const storePath = getStorePath(name);
+
+  if (!fs.existsSync(storePath)) {
+    logger.debug(`No persisted data found for store "${name}"`);
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    logger.debug(`Loaded store "${name}" from ${storePath}`);
+    return data;
+  } catch (error) {
+    logger.warn(`Error loading store "${name}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save a named store to disk
+ * Writes to a temporary file first so a crash mid-write can't corrupt the store
+ * Synchronous on purpose, so it can also be used from process exit handlers
+ *
+ * @param {string} name - Name of the store
+ * @param {object} data - JSON-serializable data to save
+ * @returns {boolean} True if the store was saved
+ */
+export function saveStore(name, data) {
+  const storePath = getStorePath(name);
+  const tempPath = `${storePath}.tmp`;
+
+  try {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, storePath);
+    logger.trace(`Saved store "${name}" to ${storePath}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving store "${name}": ${error.message}`);
+    return false;
+  }
+}
@@ -0,0 +1,163 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { scheduleTask } from "./timeManager.js";
+
+/**
+ * RPC request priority classes, highest first
+ * 'send' is for drop transactions, 'block' for block fetches and receipts, 'check' for contract and eligibility checks
+ */
+export const RPC_PRIORITIES = ["send", "block", "check"];
+
+const queues = new Map(RPC_PRIORITIES.map((priority) => [priority, []]));
+const stats = new Map(
+  RPC_PRIORITIES.map((priority) => [
+    priority,
+    { requests: 0, queuedRequests: 0, totalQueuedMs: 0, maxQueuedMs: 0 },
+  ])
+);
+
+let tokens = config.rpcBurstSize;
+let lastRefillAt = Date.now();
+let drainTimer = null;
+
+/**
+ * Initialize the rate limiter status logs
+ *
+ * @returns {void}
+ */
+export function initializeRateLimiter() {
+  if (config.rpcRequestsPerSecond <= 0) {
+    logger.info("RPC rate limiter disabled");
+    return;
+  }
+
+  logger.info(
+    `Initializing RPC rate limiter at ${config.rpcRequestsPerSecond} requests per second (Burst: ${config.rpcBurstSize})...`
+  );
+
+  scheduleTask(
+    "logRateLimiterStats",
+    async () => {
+      logger.info(
+        `[STATUS] RPC rate limiter: ${RPC_PRIORITIES.map((priority) => {
+          const { requests, queuedRequests, totalQueuedMs, maxQueuedMs } =
+            stats.get(priority);
+          const averageQueuedMs =
+            requests > 0 ? Math.round(totalQueuedMs / requests) : 0;
+
+          return `${priority}=${requests} requests (${queuedRequests} queued, avg ${averageQueuedMs}ms, max ${maxQueuedMs}ms)`;
+        }).join(", ")}, Waiting=${getQueueLength()}`
+      );
+    },
+    config.logStatusInterval * 1000
+  );
+}
+
+/**
+ * Get the number of requests waiting for a token
+ *
+ * @returns {number} Queued requests
+ */
+function getQueueLength() {
+  let length = 0;
+  for (const queue of queues.values()) {
+    length += queue.length;
+  }
+  return length;
+}
+
+/**
+ * Get the time spent queued per priority class
+ *
+ * @returns {object} Stats per priority class (requests, queuedRequests, totalQueuedMs, maxQueuedMs)
+ */
+export function getRateLimiterStats() {
+  return Object.fromEntries(
+    RPC_PRIORITIES.map((priority) => [priority, { ...stats.get(priority) }])
+  );
+}
+
+/**
+ * Add the tokens earned since the last refill, up to the burst size
+ */
+function refillTokens() {
+  const now = Date.now();
+  tokens = Math.min(
+    config.rpcBurstSize,
+    tokens + ((now - lastRefillAt) / 1000) * config.rpcRequestsPerSecond
+  );
+  lastRefillAt = now;
+}
+
+/**
+ * Record how long a request waited for its token
+ *
+ * @param {string} priority - Priority class of the request
+ * @param {number} queuedMs - Time spent queued in milliseconds
+ */
+function recordQueuedTime(priority, queuedMs) {
+  const priorityStats = stats.get(priority);
+
+  priorityStats.requests++;
+  if (queuedMs > 0) {
+    priorityStats.queuedRequests++;
+    priorityStats.totalQueuedMs += queuedMs;
+    priorityStats.maxQueuedMs = Math.max(priorityStats.maxQueuedMs, queuedMs);
+  }
+}
+
+/**
+ * Hand out tokens to queued requests, highest priority first
+ * Schedules itself again for when the next token is earned if requests are still waiting
+ */
+function drainQueues() {
+  drainTimer = null;
+  refillTokens();
+
+  for (const priority of RPC_PRIORITIES) {
+    const queue = queues.get(priority);
+
+    while (queue.length > 0 && tokens >= 1) {
+      const { resolve, queuedAt } = queue.shift();
+      tokens--;
+      recordQueuedTime(priority, Date.now() - queuedAt);
+      resolve();
+    }
+  }
+
+  if (getQueueLength() > 0) {
+    const msUntilNextToken = Math.ceil(
+      ((1 - tokens) / config.rpcRequestsPerSecond) * 1000
+    );
+    drainTimer = setTimeout(drainQueues, Math.max(msUntilNextToken, 1));
+  }
+}
+
+/**
+ * Wait for a token to send an RPC request
+ * Requests go right through while tokens are left, otherwise they wait in the queue of their priority class
+ *
+ * @param {string} priority - Priority class of the request ('send', 'block' or 'check')
+ * @returns {Promise<void>} Resolves when the request can be sent
+ */
+export function acquireRpcToken(priority) {
+  if (config.rpcRequestsPerSecond <= 0) {
+    return Promise.resolve();
+  }
+
+  refillTokens();
+
+  if (getQueueLength() === 0 && tokens >= 1) {
+    tokens--;
+    recordQueuedTime(priority, 0);
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    queues.get(priority).push({ resolve, queuedAt: Date.now() });
+
+    if (!drainTimer) {
+      drainQueues();
+    }
+  });
+}
@@ -0,0 +1,379 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { publicClient } from "./blockMonitor.js";
+import {
+  encodeFunctionData,
+  erc20Abi,
+  erc721Abi,
+  formatUnits,
+  parseAbi,
+  parseAbiItem,
+  parseUnits,
+} from "viem";
+
+// Gas used by a plain native transfer
+export const NATIVE_TRANSFER_GAS = 21000n;
+
+export const erc1155Abi = parseAbi([
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)",
+]);
+
+// Placeholders in nftMintArgs, filled in for every drop
+const MINT_ARG_PLACEHOLDERS = ["{recipient}", "{tokenId}", "{amount}"];
+
+let rewardAsset = createNativeAsset();
+
+/**
+ * Create the reward asset for the chain's native currency
+ * Drops are plain value transfers to the recipient
+ *
+ * @returns {object} Native reward asset
+ */
+function createNativeAsset() {
+  return {
+    type: "native",
+    address: null,
+    symbol: config.currencySymbol,
+    decimals: config.currencyDecimals,
+    transferGas: NATIVE_TRANSFER_GAS,
+    getBalance: (owner) =>
+      publicClient.getBalance({ address: owner, blockTag: "latest" }),
+    buildTransfer: ({ to, amount }) => ({ to, value: amount }),
+  };
+}
+
+/**
+ * Create the reward asset for an ERC-20 token
+ * Drops are direct 'transfer' calls from the drop wallet, so no allowance is needed
+ *
+ * @param {string} address - Address of the token contract
+ * @param {string} symbol - Token symbol
+ * @param {number} decimals - Token decimals
+ * @returns {object} ERC-20 reward asset
+ */
+function createErc20Asset(address, symbol, decimals) {
+  return {
+    type: "erc20",
+    address,
+    symbol,
+    decimals,
+    transferGas: BigInt(config.tokenTransferGas),
+    getBalance: (owner) =>
+      publicClient.readContract({
+        address,
+        abi: erc20Abi,
+        functionName: "balanceOf",
+        args: [owner],
+        blockTag: "latest",
+      }),
+    buildTransfer: ({ to, amount }) => ({
+      to: address,
+      value: 0n,
+      gas: BigInt(config.tokenTransferGas),
+      data: encodeFunctionData({
+        abi: erc20Abi,
+        functionName: "transfer",
+        args: [to, amount],
+      }),
+    }),
+  };
+}
+
+/**
+ * Parse the configured mint function and check nftMintArgs fit it
+ *
+ * @returns {object} ABI item of the mint function
+ */
+function parseMintFunction() {
+  let mintFunction;
+  try {
+    mintFunction = parseAbiItem(config.nftMintFunction);
+  } catch (error) {
+    throw new Error(
+      `nftMintFunction "${config.nftMintFunction}" is not a valid function signature: ${error.message}`
+    );
+  }
+
+  if (mintFunction.type !== "function") {
+    throw new Error(
+      `nftMintFunction "${config.nftMintFunction}" must be a function, e.g. "function mint(address to)"`
+    );
+  }
+  if (mintFunction.inputs.length !== config.nftMintArgs.length) {
+    throw new Error(
+      `nftMintArgs has ${config.nftMintArgs.length} arguments but ${mintFunction.name} takes ${mintFunction.inputs.length}`
+    );
+  }
+  if (!config.nftMintArgs.includes("{recipient}")) {
+    throw new Error(`nftMintArgs must pass the recipient as "{recipient}"`);
+  }
+
+  return mintFunction;
+}
+
+/**
+ * Build the arguments of a mint call, filling in the placeholders of nftMintArgs
+ * Other arguments are passed as configured, converted to the type of their parameter
+ *
+ * @param {object} mintFunction - ABI item of the mint function
+ * @param {object} drop - Drop with its recipient, amount and token ID
+ * @returns {Array} Arguments of the mint call
+ */
+function buildMintArgs(mintFunction, { to, amount, tokenId }) {
+  const placeholders = {
+    "{recipient}": to,
+    "{tokenId}": tokenId,
+    "{amount}": amount,
+  };
+
+  return mintFunction.inputs.map((input, i) => {
+    const arg = config.nftMintArgs[i];
+
+    if (MINT_ARG_PLACEHOLDERS.includes(arg)) {
+      return placeholders[arg];
+    }
+    if (/^u?int\d*$/.test(input.type)) {
+      return BigInt(arg);
+    }
+    if (input.type === "bool") {
+      return arg === "true";
+    }
+    return arg;
+  });
+}
+
+/**
+ * Create the reward asset for an ERC-721 or ERC-1155 collection
+ * Drops either mint with the configured mint function, or transfer a pre-minted token from the drop wallet holding it
+ *
+ * @param {string} type - Asset type ('erc721' or 'erc1155')
+ * @param {string} address - Address of the collection contract
+ * @param {string} symbol - Collection symbol
+ * @returns {object} NFT reward asset
+ */
+function createNftAsset(type, address, symbol) {
+  const isErc721 = type === "erc721";
+  const mintFunction =
+    config.nftDropMode === "mint" ? parseMintFunction() : null;
+
+  /**
+   * Build the call data of a pre-minted token transfer
+   *
+   * @param {object} drop - Drop with its holder, recipient, amount and token ID
+   * @returns {string} Call data
+   */
+  const encodeTransfer = ({ from, to, amount, tokenId }) =>
+    isErc721
+      ? encodeFunctionData({
+          abi: erc721Abi,
+          functionName: "safeTransferFrom",
+          args: [from, to, tokenId],
+        })
+      : encodeFunctionData({
+          abi: erc1155Abi,
+          functionName: "safeTransferFrom",
+          args: [from, to, tokenId, amount, "0x"],
+        });
+
+  return {
+    type,
+    address,
+    symbol,
+    decimals: 0,
+    isNft: true,
+    // Every drop is a single ERC-721 token, or nftAmountPerDrop copies of an ERC-1155 token
+    amountPerDrop: isErc721 ? 1n : BigInt(config.nftAmountPerDrop),
+    mintUsesTokenId: config.nftMintArgs.includes("{tokenId}"),
+    transferGas: BigInt(config.tokenTransferGas),
+    // ERC-1155 balances are per token ID, so only ERC-721 wallets have a single balance to check
+    getBalance: isErc721
+      ? (owner) =>
+          publicClient.readContract({
+            address,
+            abi: erc721Abi,
+            functionName: "balanceOf",
+            args: [owner],
+            blockTag: "latest",
+          })
+      : null,
+    buildTransfer: (drop) => ({
+      to: address,
+      value: 0n,
+      gas: BigInt(config.tokenTransferGas),
+      data: mintFunction
+        ? encodeFunctionData({
+            abi: [mintFunction],
+            functionName: mintFunction.name,
+            args: buildMintArgs(mintFunction, drop),
+          })
+        : encodeTransfer(drop),
+    }),
+  };
+}
+
+/**
+ * Initialize the reward asset dropped to recipients
+ * For a token or collection, checks the contract is deployed and looks up its symbol (and decimals for ERC-20)
+ *
+ * @returns {Promise<void>}
+ */
+export async function initializeRewardAsset() {
+  if (config.rewardAsset === "native") {
+    rewardAsset = createNativeAsset();
+    logger.info(`Dropping native ${rewardAsset.symbol}`);
+    return;
+  }
+
+  const address = config.rewardTokenAddress;
+  const label = config.rewardAsset.replace("erc", "ERC-");
+  logger.info(`Initializing ${label} reward contract ${address}...`);
+
+  const code = await publicClient.getCode({ address, blockTag: "latest" });
+  if (!code || code.length <= 2) {
+    throw new Error(`No ${label} contract found at ${address}`);
+  }
+
+  if (config.rewardAsset !== "erc20") {
+    // ERC-1155 has no symbol, and ERC-721 collections may not implement the metadata extension
+    let symbol = config.rewardAsset === "erc721" ? "NFT" : "ERC1155";
+    try {
+      symbol = await publicClient.readContract({
+        address,
+        abi: erc721Abi,
+        functionName: "symbol",
+      });
+    } catch (error) {
+      logger.debug(
+        `Collection ${address} has no symbol: ${error.message}. Using "${symbol}"`
+      );
+    }
+
+    rewardAsset = createNftAsset(config.rewardAsset, address, symbol);
+
+    logger.info(
+      `Dropping ${label} ${symbol} (${address}) by ${
+        config.nftDropMode === "mint"
+          ? `minting with ${config.nftMintFunction}`
+          : "transferring from the drop wallets"
+      }. Gas is paid in ${config.currencySymbol}`
+    );
+    return;
+  }
+
+  const decimals = await publicClient.readContract({
+    address,
+    abi: erc20Abi,
+    functionName: "decimals",
+  });
+
+  // The symbol is only used for display, so a token without one is still usable
+  let symbol = "TOKEN";
+  try {
+    symbol = await publicClient.readContract({
+      address,
+      abi: erc20Abi,
+      functionName: "symbol",
+    });
+  } catch (error) {
+    logger.warn(
+      `Error reading the symbol of token ${address}: ${error.message}. Using "${symbol}"`
+    );
+  }
+
+  rewardAsset = createErc20Asset(address, symbol, decimals);
+
+  logger.info(
+    `Dropping ERC-20 token ${symbol} (${address}, ${decimals} decimals). Gas is paid in ${config.currencySymbol}`
+  );
+}
+
+/**
+ * Get the reward asset dropped to recipients
+ *
+ * @returns {object} Reward asset
+ */
+export function getRewardAsset() {
+  return rewardAsset;
+}
+
+/**
+ * Get the key of the reward asset, to tell apart state saved for different assets
+ * Spend and awards of one asset mean nothing for another, so saved state is only used for the same asset on the same chain
+ *
+ * @returns {string} Asset key, e.g. '10143:erc20:0x...' or '10143:native'
+ */
+export function getRewardAssetKey() {
+  const { type, address } = rewardAsset;
+  return [config.chainId, type, address?.toLowerCase()]
+    .filter(Boolean)
+    .join(":");
+}
+
+/**
+ * Check if the reward asset is the chain's native currency
+ *
+ * @returns {boolean} True for native drops
+ */
+export function isNativeReward() {
+  return rewardAsset.type === "native";
+}
+
+/**
+ * Check if the reward asset is an ERC-721 or ERC-1155 collection
+ *
+ * @returns {boolean} True for NFT drops
+ */
+export function isNftReward() {
+  return Boolean(rewardAsset.isNft);
+}
+
+/**
+ * Convert a configured amount to base units
+ * Formatted to its shortest decimal first, so 0.1 becomes exactly 0.1 rather than its binary approximation,
+ * and small amounts like 1e-7 don't end up in exponent notation. All amounts from the config go through here,
+ * so drop amounts, budgets and balance thresholds round the same way
+ *
+ * @param {number} amount - Amount in whole units
+ * @param {number} decimals - Decimals of the asset
+ * @returns {bigint} Amount in base units
+ */
+export function parseAmount(amount, decimals) {
+  return parseUnits(
+    amount.toLocaleString("en-US", {
+      useGrouping: false,
+      maximumFractionDigits: Math.min(decimals, 20),
+    }),
+    decimals
+  );
+}
+
+/**
+ * Convert an amount of the reward asset to its base units
+ *
+ * @param {number} amount - Amount in whole units (e.g. $MON or tokens)
+ * @returns {bigint} Amount in base units (e.g. wei)
+ */
+export function parseRewardAmount(amount) {
+  return parseAmount(amount, rewardAsset.decimals);
+}
+
+/**
+ * Convert an amount of the native currency to wei, e.g. a balance threshold
+ *
+ * @param {number} amount - Amount in whole units of the native currency
+ * @returns {bigint} Amount in wei
+ */
+export function parseNativeAmount(amount) {
+  return parseAmount(amount, config.currencyDecimals);
+}
+
+/**
+ * Format an amount of the reward asset in whole units
+ *
+ * @param {bigint} amount - Amount in base units
+ * @returns {string} Amount in whole units
+ */
+export function formatRewardAmount(amount) {
+  return formatUnits(amount, rewardAsset.decimals);
+}
@@ -0,0 +1,406 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { scheduleTask } from "./timeManager.js";
+import { acquireRpcToken } from "./rateLimiter.js";
+import {
+  custom,
+  http,
+  keccak256,
+  HttpRequestError,
+  TimeoutError,
+  LimitExceededRpcError,
+} from "viem";
+
+const HEALTH_SMOOTHING = 0.2; // Weight of the newest sample in the latency and error rate averages
+const SWITCH_THRESHOLD = 1.5; // How much better another endpoint has to score before switching away from a healthy one
+
+let activeEndpoint = null;
+let highestBlockNumber = null;
+
+const endpoints = [
+  ...new Set([config.rpcUrl, ...config.rpcUrls].map((url) => url.trim())),
+].map((url) => ({
+  url,
+  name: getEndpointName(url),
+  transport: http(url, {
+    retryCount: 0,
+    timeout: config.rpcRequestTimeout * 1000,
+  })({}),
+  latency: null,
+  errorRate: 0,
+  consecutiveFailures: 0,
+  blockNumber: null,
+  lastError: null,
+}));
+
+/**
+ * Create a transport that sends every request to the healthiest RPC endpoint, failing over to the next one on errors
+ * Use it in place of http() for public and wallet clients
+ *
+ * @param {string} priority - Rate limiter priority class of the client's requests ('send', 'block' or 'check')
+ * @returns {Function} viem transport
+ */
+export function createRpcTransport(priority) {
+  return custom({
+    request: async (args) => {
+      await acquireRpcToken(priority);
+      return requestWithFailover(args);
+    },
+  });
+}
+
+/**
+ * Get a name for an endpoint that is safe to log
+ * Private RPC URLs usually carry an API key in the path, so only the host is shown
+ *
+ * @param {string} url - Endpoint URL
+ * @returns {string} Endpoint name
+ */
+function getEndpointName(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Initialize the RPC pool, probe all endpoints once and schedule periodic probes
+ *
+ * @returns {Promise<void>}
+ */
+export async function initializeRpcPool() {
+  logger.info(`Initializing RPC pool with ${endpoints.length} endpoints...`);
+
+  await probeEndpoints();
+
+  scheduleTask(
+    "probeRpcEndpoints",
+    probeEndpoints,
+    config.rpcProbeInterval * 1000
+  );
+
+  scheduleTask(
+    "logRpcStatus",
+    async () => {
+      for (const endpoint of endpoints) {
+        logger.info(
+          `[STATUS] RPC endpoint ${endpoint.name}${
+            endpoint === activeEndpoint ? " (active)" : ""
+          }: ${getEndpointState(endpoint)}, Latency=${
+            endpoint.latency === null
+              ? "unknown"
+              : `${Math.round(endpoint.latency)}ms`
+          }, Error rate=${(endpoint.errorRate * 100).toFixed(
+            1
+          )}%, Block lag=${getBlockLag(endpoint)}, Score=${Math.round(
+            getHealthScore(endpoint)
+          )}`
+        );
+      }
+    },
+    config.logStatusInterval * 1000
+  );
+}
+
+/**
+ * Get how many blocks an endpoint is behind the highest block seen on any endpoint
+ *
+ * @param {object} endpoint - RPC endpoint
+ * @returns {number} Block lag
+ */
+function getBlockLag(endpoint) {
+  if (endpoint.blockNumber === null || highestBlockNumber === null) {
+    return 0;
+  }
+
+  return Number(highestBlockNumber - endpoint.blockNumber);
+}
+
+/**
+ * Check if an endpoint is healthy enough to send requests to
+ *
+ * @param {object} endpoint - RPC endpoint
+ * @returns {boolean} True if the endpoint is healthy
+ */
+function isHealthy(endpoint) {
+  return (
+    endpoint.consecutiveFailures < config.rpcMaxConsecutiveFailures &&
+    getBlockLag(endpoint) <= config.rpcMaxBlockLag
+  );
+}
+
+/**
+ * Get the health state of an endpoint for logging
+ *
+ * @param {object} endpoint - RPC endpoint
+ * @returns {string} 'down', 'lagging' or 'healthy'
+ */
+function getEndpointState(endpoint) {
+  if (endpoint.consecutiveFailures >= config.rpcMaxConsecutiveFailures) {
+    return "down";
+  }
+
+  return getBlockLag(endpoint) > config.rpcMaxBlockLag ? "lagging" : "healthy";
+}
+
+/**
+ * Get the health score of an endpoint, lower is better
+ * The score is the average latency in milliseconds, penalized by the error rate and the block lag
+ *
+ * @param {object} endpoint - RPC endpoint
+ * @returns {number} Health score
+ */
+function getHealthScore(endpoint) {
+  return (
+    (endpoint.latency ?? 0) *
+    (1 + 4 * endpoint.errorRate) *
+    (1 + getBlockLag(endpoint))
+  );
+}
+
+/**
+ * Get the endpoints in the order to try them
+ * Healthy endpoints come first, by score, and the active endpoint is kept unless another one is clearly better
+ *
+ * @returns {Array} RPC endpoints
+ */
+function getEndpointsByHealth() {
+  const byScore = (a, b) => getHealthScore(a) - getHealthScore(b);
+  const healthy = endpoints.filter(isHealthy).sort(byScore);
+  const unhealthy = endpoints
+    .filter((endpoint) => !isHealthy(endpoint))
+    .sort(byScore);
+
+  if (
+    activeEndpoint &&
+    healthy.includes(activeEndpoint) &&
+    getHealthScore(activeEndpoint) <=
+      getHealthScore(healthy[0]) * SWITCH_THRESHOLD
+  ) {
+    healthy.splice(healthy.indexOf(activeEndpoint), 1);
+    healthy.unshift(activeEndpoint);
+  }
+
+  // Unhealthy endpoints are a last resort, better than failing outright
+  return [...healthy, ...unhealthy];
+}
+
+/**
+ * Record a successful request to an endpoint
+ *
+ * @param {object} endpoint - RPC endpoint
+ * @param {number} latency - Request latency in milliseconds
+ */
+function recordSuccess(endpoint, latency) {
+  if (endpoint.consecutiveFailures >= config.rpcMaxConsecutiveFailures) {
+    logger.success(`RPC endpoint ${endpoint.name} is reachable again`);
+  }
+
+  endpoint.latency =
+    endpoint.latency === null
+      ? latency
+      : endpoint.latency * (1 - HEALTH_SMOOTHING) + latency * HEALTH_SMOOTHING;
+  endpoint.errorRate *= 1 - HEALTH_SMOOTHING;
+  endpoint.consecutiveFailures = 0;
+}
+
+/**
+ * Record a failed request to an endpoint
+ *
+ * @param {object} endpoint - RPC endpoint
+ * @param {Error} error - Error of the request
+ */
+function recordFailure(endpoint, error) {
+  endpoint.errorRate =
+    endpoint.errorRate * (1 - HEALTH_SMOOTHING) + HEALTH_SMOOTHING;
+  endpoint.consecutiveFailures++;
+  endpoint.lastError = error.message;
+
+  if (endpoint.consecutiveFailures === config.rpcMaxConsecutiveFailures) {
+    logger.warn(
+      `RPC endpoint ${endpoint.name} is down after ${endpoint.consecutiveFailures} consecutive failures: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Record the latest block number reported by an endpoint
+ *
+ * @param {object} endpoint - RPC endpoint
+ * @param {bigint} blockNumber - Latest block number
+ */
+function recordBlockNumber(endpoint, blockNumber) {
+  endpoint.blockNumber = blockNumber;
+
+  if (highestBlockNumber === null || blockNumber > highestBlockNumber) {
+    highestBlockNumber = blockNumber;
+  }
+}
+
+/**
+ * Check if an error is the endpoint's fault, so the request should be tried on another endpoint
+ * JSON-RPC errors like reverts or a nonce too low would fail the same way on every endpoint
+ *
+ * @param {Error} error - Error of the request
+ * @returns {boolean} True if the request should fail over
+ */
+function isEndpointError(error) {
+  return (
+    error instanceof HttpRequestError ||
+    error instanceof TimeoutError ||
+    error instanceof LimitExceededRpcError
+  );
+}
+
+/**
+ * Check if a transaction is known to any endpoint, mined or pending
+ * Used when a send failed in a way that doesn't tell whether the transaction went out
+ *
+ * @param {string} hash - Transaction hash
+ * @returns {Promise<boolean>} True if an endpoint knows the transaction
+ */
+async function isTransactionKnown(hash) {
+  for (const endpoint of getEndpointsByHealth()) {
+    try {
+      const transaction = await endpoint.transport.request({
+        method: "eth_getTransactionByHash",
+        params: [hash],
+      });
+
+      if (transaction) {
+        return true;
+      }
+    } catch (error) {
+      logger.debug(
+        `Error looking up transaction ${hash} on ${endpoint.name}: ${error.message}`
+      );
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Send a JSON-RPC request to the healthiest endpoint, failing over to the next one on endpoint errors
+ * A raw transaction that may have been broadcast before its endpoint failed (e.g. on a timeout) is looked up by its hash
+ * before sending it again, and a nonce or replacement error on the retry counts as sent if the transaction is known
+ *
+ * @param {object} request - JSON-RPC request
+ * @param {string} request.method - Method name
+ * @param {Array} request.params - Method parameters
+ * @returns {Promise<any>} Result of the request
+ */
+async function requestWithFailover({ method, params }) {
+  let lastError = null;
+
+  for (const endpoint of getEndpointsByHealth()) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await endpoint.transport.request({ method, params });
+      recordSuccess(endpoint, Date.now() - startedAt);
+
+      if (method === "eth_blockNumber") {
+        recordBlockNumber(endpoint, BigInt(result));
+      }
+
+      if (endpoint !== activeEndpoint) {
+        if (activeEndpoint) {
+          logger.info(
+            `Switched RPC endpoint from ${activeEndpoint.name} to ${endpoint.name}`
+          );
+        }
+        activeEndpoint = endpoint;
+      }
+
+      return result;
+    } catch (error) {
+      // The previous endpoint may have received the transaction before failing
+      if (
+        lastError &&
+        method === "eth_sendRawTransaction" &&
+        /already known|nonce too low|replacement (transaction )?underpriced/i.test(
+          error.message
+        )
+      ) {
+        recordSuccess(endpoint, Date.now() - startedAt);
+
+        const hash = keccak256(params[0]);
+        if (
+          /already known/i.test(error.message) ||
+          (await isTransactionKnown(hash))
+        ) {
+          logger.debug(
+            `Transaction ${hash} was already sent before ${endpoint.name} rejected it: ${error.message}`
+          );
+          return hash;
+        }
+
+        throw error;
+      }
+
+      if (!isEndpointError(error)) {
+        recordSuccess(endpoint, Date.now() - startedAt);
+        throw error;
+      }
+
+      recordFailure(endpoint, error);
+      lastError = error;
+
+      if (method === "eth_sendRawTransaction") {
+        const hash = keccak256(params[0]);
+        if (await isTransactionKnown(hash)) {
+          logger.debug(
+            `RPC request ${method} to ${endpoint.name} failed: ${error.message}, but transaction ${hash} was broadcast. Not sending it again`
+          );
+          return hash;
+        }
+      }
+
+      logger.debug(
+        `RPC request ${method} to ${endpoint.name} failed: ${error.message}. Failing over...`
+      );
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Probe all endpoints for their latency and latest block number
+ * This is also how endpoints that are down get picked up again once they recover
+ *
+ * @returns {Promise<void>}
+ */
+async function probeEndpoints() {
+  await Promise.all(
+    endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+
+      try {
+        const blockNumber = await endpoint.transport.request({
+          method: "eth_blockNumber",
+        });
+        recordSuccess(endpoint, Date.now() - startedAt);
+        recordBlockNumber(endpoint, BigInt(blockNumber));
+      } catch (error) {
+        recordFailure(endpoint, error);
+        logger.debug(
+          `Error probing RPC endpoint ${endpoint.name}: ${error.message}`
+        );
+      }
+    })
+  );
+
+  const lagging = endpoints.filter(
+    (endpoint) => getBlockLag(endpoint) > config.rpcMaxBlockLag
+  );
+  for (const endpoint of lagging) {
+    logger.debug(
+      `RPC endpoint ${endpoint.name} is ${getBlockLag(
+        endpoint
+      )} blocks behind the highest known block ${highestBlockNumber}`
+    );
+  }
+}
@@ -0,0 +1,245 @@
+import dotenv from "dotenv";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { monadTestnet, publicClient } from "./blockMonitor.js";
+import { createRpcTransport } from "./rpcPool.js";
+import {
+  getRewardAsset,
+  isNativeReward,
+  isNftReward,
+  parseNativeAmount,
+} from "./rewardAsset.js";
+import { createWalletClient } from "viem";
+import { privateKeyToAccount, nonceManager } from "viem/accounts";
+
+dotenv.config();
+
+const senders = [];
+let nextSenderIndex = 0;
+
+/**
+ * Read the drop wallet private keys from the environment
+ * PRIVATE_KEYS takes a comma-separated list, PRIVATE_KEY a single key
+ *
+ * @returns {Array<string>} Unique private keys
+ */
+function getPrivateKeys() {
+  const keys = (process.env.PRIVATE_KEYS || process.env.PRIVATE_KEY || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+
+  return [...new Set(keys)];
+}
+
+/**
+ * Initialize the sender pool with one wallet per configured private key
+ * Every wallet has its own nonce sequence, so sends from different wallets don't block each other
+ *
+ * @returns {void}
+ */
+export function initializeSenderPool() {
+  const privateKeys = getPrivateKeys();
+  if (privateKeys.length === 0) {
+    throw new Error(
+      "Private key not found. Set the PRIVATE_KEYS or PRIVATE_KEY environment variable."
+    );
+  }
+
+  for (const privateKey of privateKeys) {
+    const account = privateKeyToAccount(privateKey, { nonceManager });
+
+    const walletClient = createWalletClient({
+      account,
+      chain: monadTestnet,
+      transport: createRpcTransport("send"),
+    });
+
+    senders.push({
+      account,
+      walletClient,
+      balance: null,
+      tokenBalance: null,
+      lastNonce: null,
+      // Sends of this wallet between taking a nonce and being accepted by the node
+      inFlightSends: new Set(),
+      isLowOnFunds: false,
+    });
+
+    logger.info(`Drop wallet configured with address: ${account.address}`);
+  }
+
+  logger.info(`Sender pool initialized with ${senders.length} wallets`);
+}
+
+/**
+ * Get all wallets in the sender pool
+ *
+ * @returns {Array} Sender pool wallets
+ */
+export function getSenders() {
+  return senders;
+}
+
+/**
+ * Get a wallet of the sender pool by its address
+ *
+ * @param {string} address - Address of the wallet
+ * @returns {object|undefined} Sender pool wallet
+ */
+export function getSender(address) {
+  return senders.find(
+    (sender) => sender.account.address.toLowerCase() === address.toLowerCase()
+  );
+}
+
+/**
+ * Get the reward asset balance of a sender pool wallet, as of the last balance refresh
+ *
+ * @param {object} sender - Sender pool wallet
+ * @returns {bigint|null} Native balance for native drops, token balance for ERC-20 and ERC-721 drops (null if unknown)
+ */
+export function getRewardBalance(sender) {
+  return isNativeReward() ? sender.balance : sender.tokenBalance;
+}
+
+/**
+ * Refresh the balances of all wallets in the sender pool, and their token balances for ERC-20 and ERC-721 drops
+ * Wallets below the minimum balance are flagged as low on funds and skipped for drops
+ *
+ * @returns {Promise<Array>} Sender pool wallets
+ */
+export async function refreshSenderBalances() {
+  const minBalance = parseNativeAmount(config.minSenderBalance);
+
+  await Promise.all(
+    senders.map(async (sender) => {
+      try {
+        sender.balance = await publicClient.getBalance({
+          address: sender.account.address,
+          blockTag: "latest",
+        });
+
+        const wasLowOnFunds = sender.isLowOnFunds;
+        sender.isLowOnFunds = sender.balance < minBalance;
+
+        if (sender.isLowOnFunds && !wasLowOnFunds) {
+          logger.warn(
+            `Drop wallet ${sender.account.address} is below the minimum balance of ${config.minSenderBalance} ${config.currencySymbol}. Skipping it for drops...`
+          );
+        } else if (!sender.isLowOnFunds && wasLowOnFunds) {
+          logger.info(
+            `Drop wallet ${sender.account.address} is funded again. Using it for drops...`
+          );
+        }
+      } catch (error) {
+        logger.warn(
+          `Error fetching balance of drop wallet ${sender.account.address}: ${error.message}`
+        );
+      }
+
+      // ERC-1155 balances are per token ID, and tracked by the NFT inventory instead
+      if (isNativeReward() || !getRewardAsset().getBalance) {
+        return;
+      }
+
+      try {
+        sender.tokenBalance = await getRewardAsset().getBalance(
+          sender.account.address
+        );
+      } catch (error) {
+        logger.warn(
+          `Error fetching ${getRewardAsset().symbol} balance of drop wallet ${
+            sender.account.address
+          }: ${error.message}`
+        );
+      }
+    })
+  );
+
+  return senders;
+}
+
+/**
+ * Spread recipients across the sender pool in round-robin order
+ * A wallet only gets recipients while its balance covers their cost and stays above the minimum balance
+ * For ERC-20 drops, its native balance covers the gas and its token balance the amounts
+ * Wallets with an unknown balance are used as if funded, so an RPC hiccup doesn't stop the drop
+ * Recipients of a pre-minted NFT already have a holder, and can only be sent from that wallet
+ *
+ * @param {Array<{to: string, amount: bigint, holder?: string}>} recipients - Recipients with their drop amount in base units of the reward asset, and the wallet holding their NFT
+ * @param {bigint} gasCostPerDrop - Estimated gas fee of one drop in wei
+ * @returns {Array<{to: string, amount: bigint, sender: object|null}>} Recipients with their assigned wallet (null if no wallet can afford it)
+ */
+export function assignSenders(recipients, gasCostPerDrop) {
+  const minBalance = parseNativeAmount(config.minSenderBalance);
+  const isNative = isNativeReward();
+  // NFT holdings are allocated by the NFT inventory, so only their gas is checked here
+  const needsTokens = !isNative && !isNftReward();
+  const remainingBalances = new Map(
+    senders.map((sender) => [sender, sender.balance])
+  );
+  const remainingTokens = new Map(
+    senders.map((sender) => [sender, sender.tokenBalance])
+  );
+
+  const canAfford = (sender, cost, tokens) => {
+    const remaining = remainingBalances.get(sender);
+    const remainingToken = remainingTokens.get(sender);
+
+    return (
+      (remaining === null || remaining - cost >= minBalance) &&
+      (!needsTokens || remainingToken === null || remainingToken >= tokens)
+    );
+  };
+
+  const assignments = recipients.map((recipient) => {
+    const cost = isNative ? recipient.amount + gasCostPerDrop : gasCostPerDrop;
+    const tokens = needsTokens ? recipient.amount : 0n;
+
+    if (recipient.holder) {
+      const sender = getSender(recipient.holder);
+      if (!sender || !canAfford(sender, cost, 0n)) {
+        return { ...recipient, sender: null };
+      }
+
+      if (remainingBalances.get(sender) !== null) {
+        remainingBalances.set(sender, remainingBalances.get(sender) - cost);
+      }
+      return { ...recipient, sender };
+    }
+
+    for (let i = 0; i < senders.length; i++) {
+      const index = (nextSenderIndex + i) % senders.length;
+      const sender = senders[index];
+
+      if (!canAfford(sender, cost, tokens)) {
+        continue;
+      }
+
+      if (remainingBalances.get(sender) !== null) {
+        remainingBalances.set(sender, remainingBalances.get(sender) - cost);
+      }
+      if (remainingTokens.get(sender) !== null) {
+        remainingTokens.set(sender, remainingTokens.get(sender) - tokens);
+      }
+      nextSenderIndex = (index + 1) % senders.length;
+
+      return { ...recipient, sender };
+    }
+
+    return { ...recipient, sender: null };
+  });
+
+  logger.debug(
+    `Assigned ${
+      assignments.filter((assignment) => assignment.sender).length
+    } recipients across ${
+      new Set(
+        assignments.map((assignment) => assignment.sender).filter(Boolean)
+      ).size
+    } drop wallets`
+  );
+
+  return assignments;
+}
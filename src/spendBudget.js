@@ -0,0 +1,469 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { scheduleTask } from "./timeManager.js";
+import { pauseDrops, resumeDrops, getPauseReason } from "./batchManager.js";
+import { removeFromWalletAddressCache } from "./cacheManager.js";
+import {
+  getSenders,
+  getRewardBalance,
+  refreshSenderBalances,
+} from "./senderPool.js";
+import { loadStore, saveStore } from "./persistentStore.js";
+import {
+  getRewardAsset,
+  getRewardAssetKey,
+  isNativeReward,
+  isNftReward,
+  parseRewardAmount,
+  formatRewardAmount,
+} from "./rewardAsset.js";
+
+const BUDGET_STORE_NAME = "budget";
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Spend per sent batch over the last day (drop amounts, plus estimated gas for native drops), oldest first
+let spendHistory = [];
+// Lifetime amount received per recipient address
+const receivedByRecipient = new Map();
+
+let budgetPauseReason = null;
+let lastCostPerDrop = null;
+
+/**
+ * Format an amount of the reward asset for logging
+ *
+ * @param {bigint} amount - Amount in base units
+ * @returns {string} Amount with the asset symbol
+ */
+function formatAmount(amount) {
+  return `${formatRewardAmount(amount)} ${getRewardAsset().symbol}`;
+}
+
+/**
+ * Check if any spend budget is configured
+ *
+ * @returns {boolean} True if at least one budget is enabled
+ */
+function isBudgetEnabled() {
+  return (
+    config.hourlySpendCap > 0 ||
+    config.dailySpendCap > 0 ||
+    config.recipientLifetimeCap > 0 ||
+    config.reserveBalance > 0
+  );
+}
+
+/**
+ * Initialize the spend budgets, restore the spend so far and schedule the check that resumes drops
+ * Dry runs apply the budgets in memory, starting from the saved spend, and never save it
+ *
+ * @returns {void}
+ */
+export function initializeSpendBudget() {
+  if (!isBudgetEnabled()) {
+    logger.info("No spend budgets configured");
+    return;
+  }
+
+  logger.info(
+    `Initializing spend budgets (Hourly cap: ${formatCap(
+      config.hourlySpendCap
+    )}, Daily cap: ${formatCap(
+      config.dailySpendCap
+    )}, Lifetime cap per recipient: ${formatCap(
+      config.recipientLifetimeCap
+    )}, Reserve: ${formatCap(config.reserveBalance)})...`
+  );
+
+  restoreBudgetState();
+
+  scheduleTask(
+    "checkSpendBudget",
+    checkSpendBudget,
+    config.budgetCheckInterval * 1000
+  );
+
+  if (config.dryRun) {
+    if (config.reserveBalance > 0 && !isNftReward()) {
+      logger.info(
+        "Dry run: the reserve balance isn't checked, as there are no drop wallets"
+      );
+    }
+    return;
+  }
+
+  // Save one last time on shutdown so the spend so far isn't lost
+  process.on("exit", persistBudgetState);
+}
+
+/**
+ * Format a budget cap for logging
+ *
+ * @param {number} cap - Cap in whole units of the reward asset
+ * @returns {string} Formatted cap, or 'off' if it is disabled
+ */
+function formatCap(cap) {
+  return cap > 0 ? `${cap} ${getRewardAsset().symbol}` : "off";
+}
+
+/**
+ * Save the spend history and the lifetime amount per recipient to disk
+ *
+ * @returns {boolean} True if the budget state was saved
+ */
+export function persistBudgetState() {
+  return saveStore(BUDGET_STORE_NAME, {
+    savedAt: Date.now(),
+    asset: getRewardAssetKey(),
+    spendHistory: spendHistory.map(({ time, amount }) => ({
+      time,
+      amount: amount.toString(),
+    })),
+    receivedByRecipient: Object.fromEntries(
+      [...receivedByRecipient.entries()].map(([address, amount]) => [
+        address,
+        amount.toString(),
+      ])
+    ),
+  });
+}
+
+/**
+ * Restore the spend history and the lifetime amount per recipient from disk
+ * State saved for another reward asset is ignored
+ */
+function restoreBudgetState() {
+  const state = loadStore(BUDGET_STORE_NAME);
+
+  if (!state) {
+    return;
+  }
+
+  // Budget state saved before the asset was recorded only counted native spend
+  const asset = state.asset ?? `${config.chainId}:native`;
+  if (asset !== getRewardAssetKey()) {
+    logger.warn(
+      `Saved spend budget state is for ${asset}, not ${getRewardAssetKey()}. Starting with an empty spend history and no amounts per recipient...`
+    );
+    return;
+  }
+
+  spendHistory = (state.spendHistory ?? []).map(({ time, amount }) => ({
+    time,
+    amount: BigInt(amount),
+  }));
+  pruneSpendHistory();
+
+  for (const [address, amount] of Object.entries(
+    state.receivedByRecipient ?? {}
+  )) {
+    receivedByRecipient.set(address, BigInt(amount));
+  }
+
+  logger.info(
+    `Restored spend budget state: ${formatAmount(
+      getSpentSince(Date.now() - HOUR)
+    )} spent in the last hour, ${formatAmount(
+      getSpentSince(Date.now() - DAY)
+    )} in the last day, ${receivedByRecipient.size} recipients tracked`
+  );
+}
+
+/**
+ * Forget spend that is older than the longest window
+ */
+function pruneSpendHistory() {
+  const cutoff = Date.now() - DAY;
+  spendHistory = spendHistory.filter(({ time }) => time > cutoff);
+}
+
+/**
+ * Get the total spend since a point in time
+ *
+ * @param {number} since - Timestamp in milliseconds
+ * @returns {bigint} Spend in base units
+ */
+function getSpentSince(since) {
+  return spendHistory
+    .filter(({ time }) => time > since)
+    .reduce((total, { amount }) => total + amount, 0n);
+}
+
+/**
+ * Get how much can still be spent under each enabled budget
+ * The reserve budget is the total reward asset balance of the drop wallets above reserveBalance
+ *
+ * @returns {Array<{name: string, remaining: bigint}>} Remaining amount per budget in base units
+ */
+function getRemainingBudgets() {
+  const budgets = [];
+
+  if (config.hourlySpendCap > 0) {
+    budgets.push({
+      name: "hourly spend cap",
+      remaining:
+        parseRewardAmount(config.hourlySpendCap) -
+        getSpentSince(Date.now() - HOUR),
+    });
+  }
+
+  if (config.dailySpendCap > 0) {
+    budgets.push({
+      name: "daily spend cap",
+      remaining:
+        parseRewardAmount(config.dailySpendCap) -
+        getSpentSince(Date.now() - DAY),
+    });
+  }
+
+  // NFT drops are limited by their inventory instead, and dry runs have no drop wallets to check
+  if (config.reserveBalance > 0 && !isNftReward() && !config.dryRun) {
+    const totalBalance = getSenders().reduce(
+      (total, sender) => total + (getRewardBalance(sender) ?? 0n),
+      0n
+    );
+
+    budgets.push({
+      name: "reserve balance",
+      remaining: totalBalance - parseRewardAmount(config.reserveBalance),
+    });
+  }
+
+  return budgets;
+}
+
+/**
+ * Apply the spend budgets to a batch before it is sent
+ * Recipients over their lifetime cap are skipped, and the batch is trimmed to what the tightest budget allows
+ * If not even one drop fits, drops are paused until checkSpendBudget finds room again
+ * Trimmed recipients are released from the cooldown so they stay eligible
+ *
+ * @param {Array<{to: string, amount: bigint}>} drops - Selected recipients with their amount in base units
+ * @param {bigint} gasCostPerDrop - Estimated gas per drop in wei, only counted for native drops
+ * @param {number} batchNumber - Batch number, for logging
+ * @returns {Array<{to: string, amount: bigint}>} Recipients to send to
+ */
+export function applySpendBudget(drops, gasCostPerDrop, batchNumber) {
+  if (!isBudgetEnabled() || drops.length === 0) {
+    return drops;
+  }
+
+  pruneSpendHistory();
+
+  const gasCost = isNativeReward() ? gasCostPerDrop : 0n;
+  let recipients = drops;
+
+  if (config.recipientLifetimeCap > 0) {
+    const cap = parseRewardAmount(config.recipientLifetimeCap);
+
+    recipients = drops.filter(({ to, amount }) => {
+      const received = receivedByRecipient.get(to.toLowerCase()) ?? 0n;
+      if (received + amount <= cap) {
+        return true;
+      }
+
+      logger.info(
+        `Budget: Skipping ${to}, it already received ${formatAmount(
+          received
+        )} of its ${formatCap(config.recipientLifetimeCap)} lifetime cap`,
+        { batch: batchNumber, address: to }
+      );
+      return false;
+    });
+  }
+
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  // The cheapest drop decides whether drops can resume once paused
+  lastCostPerDrop =
+    recipients.reduce(
+      (cheapest, { amount }) => (amount < cheapest ? amount : cheapest),
+      recipients[0].amount
+    ) + gasCost;
+
+  const tightest = getRemainingBudgets().sort((a, b) =>
+    a.remaining < b.remaining ? -1 : 1
+  )[0];
+
+  if (!tightest) {
+    return recipients;
+  }
+
+  // Take recipients in order for as long as their drops fit the budget
+  let affordableDrops = 0;
+  let batchCost = 0n;
+  for (const { amount } of recipients) {
+    if (batchCost + amount + gasCost > tightest.remaining) {
+      break;
+    }
+    batchCost += amount + gasCost;
+    affordableDrops++;
+  }
+
+  if (affordableDrops === 0) {
+    for (const { to } of recipients) {
+      removeFromWalletAddressCache(to);
+    }
+
+    pauseForBudget(
+      `${tightest.name} reached (${formatAmount(
+        tightest.remaining > 0n ? tightest.remaining : 0n
+      )} left, ${formatAmount(
+        recipients[0].amount + gasCost
+      )} needed for the next drop)`,
+      batchNumber
+    );
+    return [];
+  }
+
+  if (recipients.length > affordableDrops) {
+    const trimmed = recipients.slice(affordableDrops);
+    for (const { to } of trimmed) {
+      removeFromWalletAddressCache(to);
+    }
+
+    logger.warn(
+      `Budget: Trimming batch ${batchNumber} from ${
+        recipients.length
+      } to ${affordableDrops} recipients to stay within the ${
+        tightest.name
+      } (${formatAmount(tightest.remaining)} left)`,
+      { batch: batchNumber }
+    );
+
+    recipients = recipients.slice(0, affordableDrops);
+  } else {
+    logger.debug(
+      `Budget: Batch ${batchNumber} of ${
+        recipients.length
+      } recipients fits the ${tightest.name} (${formatAmount(
+        tightest.remaining
+      )} left)`
+    );
+  }
+
+  return recipients;
+}
+
+/**
+ * Pause drops because a budget is exhausted
+ *
+ * @param {string} reason - Which budget is exhausted
+ * @param {number} batchNumber - Batch number, for logging
+ */
+function pauseForBudget(reason, batchNumber) {
+  logger.warn(`Budget: Skipping batch ${batchNumber}, ${reason}`, {
+    batch: batchNumber,
+  });
+
+  budgetPauseReason = `spend budget exhausted: ${reason}`;
+  pauseDrops(budgetPauseReason);
+}
+
+/**
+ * Record the spend of a sent batch against the budgets
+ * Spend is counted when the drops are sent, at their estimated cost, so the windows can't be overrun while they confirm
+ * Simulated drops of a dry run are counted too, but not saved
+ *
+ * @param {Array} transactions - Transaction results of the batch
+ * @param {bigint} gasCostPerDrop - Estimated gas per drop in wei, only counted for native drops
+ */
+export function recordSpend(transactions, gasCostPerDrop) {
+  if (!isBudgetEnabled()) {
+    return;
+  }
+
+  const sent = transactions.filter((tx) => tx.status !== "failed");
+  if (sent.length === 0) {
+    return;
+  }
+
+  spendHistory.push({
+    time: Date.now(),
+    amount: sent.reduce(
+      (total, tx) =>
+        total + tx.value + (isNativeReward() ? gasCostPerDrop : 0n),
+      0n
+    ),
+  });
+
+  if (config.recipientLifetimeCap > 0) {
+    for (const tx of sent) {
+      const address = tx.to.toLowerCase();
+      receivedByRecipient.set(
+        address,
+        (receivedByRecipient.get(address) ?? 0n) + tx.value
+      );
+    }
+  }
+
+  if (!config.dryRun) {
+    persistBudgetState();
+  }
+}
+
+/**
+ * Resume drops paused by a budget once there is room for at least one drop again
+ * Rolling windows free up as old spend leaves them, and the reserve once the wallets are funded
+ *
+ * @returns {Promise<void>}
+ */
+async function checkSpendBudget() {
+  if (budgetPauseReason === null || getPauseReason() !== budgetPauseReason) {
+    budgetPauseReason = null;
+    return;
+  }
+
+  pruneSpendHistory();
+
+  if (config.reserveBalance > 0) {
+    await refreshSenderBalances();
+  }
+
+  const tightest = getRemainingBudgets().sort((a, b) =>
+    a.remaining < b.remaining ? -1 : 1
+  )[0];
+
+  if (tightest && tightest.remaining < lastCostPerDrop) {
+    logger.debug(
+      `Budget: Drops stay paused, ${tightest.name} has ${formatAmount(
+        tightest.remaining > 0n ? tightest.remaining : 0n
+      )} left`
+    );
+    return;
+  }
+
+  logger.info(
+    `Budget: Room for drops again${
+      tightest
+        ? ` (${tightest.name} has ${formatAmount(tightest.remaining)} left)`
+        : ""
+    }`
+  );
+
+  budgetPauseReason = null;
+  resumeDrops();
+}
+
+/**
+ * Get the spend so far and the remaining budgets
+ *
+ * @returns {object} Budget status with amounts in whole units of the reward asset
+ */
+export function getBudgetStatus() {
+  return {
+    spentLastHour: formatRewardAmount(getSpentSince(Date.now() - HOUR)),
+    spentLastDay: formatRewardAmount(getSpentSince(Date.now() - DAY)),
+    remaining: Object.fromEntries(
+      getRemainingBudgets().map(({ name, remaining }) => [
+        name,
+        formatRewardAmount(remaining > 0n ? remaining : 0n),
+      ])
+    ),
+    trackedRecipients: receivedByRecipient.size,
+    pausedByBudget: budgetPauseReason !== null,
+  };
+}
@@ -0,0 +1,176 @@
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { scheduleTask } from "./timeManager.js";
+import { getSender } from "./senderPool.js";
+import { getStuckDrops, recordReplacement } from "./confirmationTracker.js";
+import { bumpFees, formatFees } from "./feeStrategy.js";
+import { getRewardAsset } from "./rewardAsset.js";
+import { raiseAlert } from "./alerting.js";
+
+let isCheckingStuckTransactions = false;
+
+/**
+ * Initialize the stuck transaction monitor
+ *
+ * @returns {void}
+ */
+export function initializeStuckTransactionMonitor() {
+  logger.info("Initializing stuck transaction monitor...");
+
+  scheduleTask(
+    "checkStuckTransactions",
+    checkStuckTransactions,
+    config.stuckTransactionCheckInterval * 1000
+  );
+}
+
+/**
+ * Check if an error means the nonce was already used by a mined transaction
+ *
+ * @param {Error} error - Error thrown while sending a replacement
+ * @returns {boolean} True if the nonce is already used
+ */
+function isNonceAlreadyUsedError(error) {
+  return /nonce too low|already known|nonce has already been used/i.test(
+    error.message
+  );
+}
+
+/**
+ * Find pending drops that have been waiting too long and replace them
+ *
+ * @returns {Promise<void>}
+ */
+async function checkStuckTransactions() {
+  if (isCheckingStuckTransactions) {
+    return;
+  }
+
+  const stuckDrops = getStuckDrops(config.stuckTransactionThreshold * 1000);
+  if (stuckDrops.length === 0) {
+    return;
+  }
+
+  isCheckingStuckTransactions = true;
+
+  try {
+    logger.warn(
+      `Found ${stuckDrops.length} drops pending for more than ${config.stuckTransactionThreshold}s`
+    );
+
+    // Replace in nonce order so the lowest stuck nonce unblocks the rest first
+    stuckDrops.sort((a, b) => a.nonce - b.nonce);
+
+    for (const drop of stuckDrops) {
+      await replaceStuckDrop(drop);
+    }
+  } catch (error) {
+    logger.error(`Error checking stuck transactions: ${error.message}`);
+  } finally {
+    isCheckingStuckTransactions = false;
+  }
+}
+
+/**
+ * Replace a stuck drop with a higher fee, or cancel its nonce once gas bumps are exhausted
+ *
+ * @param {object} drop - Stuck drop record
+ * @returns {Promise<void>}
+ */
+async function replaceStuckDrop(drop) {
+  if (drop.status !== "pending") {
+    // Settled while earlier stuck drops were being replaced
+    return;
+  }
+
+  if (drop.cancelHash) {
+    // Already cancelled, the confirmation tracker times it out if the cancel doesn't land
+    return;
+  }
+
+  if (drop.isAtFeeCeiling) {
+    // Nothing left to bump, the confirmation tracker times it out if it doesn't land
+    return;
+  }
+
+  if (!bumpFees(drop.fees)) {
+    drop.isAtFeeCeiling = true;
+    logger.warn(
+      `Stuck drop to ${drop.to} (tx: ${
+        drop.hash
+      }) is already at the fee ceiling of ${formatFees({
+        gasPrice: config.feeCeiling,
+      })}. Not replacing it...`
+    );
+    await raiseAlert(
+      "feeCeilingReached",
+      `Drop to ${drop.to} is stuck at the fee ceiling (tx: ${drop.hash}). Raise feeCeiling to replace stuck drops`
+    );
+    return;
+  }
+
+  const gasBumps = drop.replacements.filter(
+    (replacement) => replacement.type === "speedup"
+  ).length;
+
+  if (gasBumps < config.maxGasBumps) {
+    try {
+      await sendReplacement(drop, "speedup");
+      return;
+    } catch (error) {
+      if (isNonceAlreadyUsedError(error)) {
+        logger.debug(
+          `Nonce ${drop.nonce} of drop to ${drop.to} is already used: ${error.message}`
+        );
+        return;
+      }
+
+      logger.warn(
+        `Failed to replace stuck drop to ${drop.to} (original tx: ${drop.hash}): ${error.message}. Cancelling nonce ${drop.nonce}...`
+      );
+    }
+  }
+
+  try {
+    await sendReplacement(drop, "cancel");
+  } catch (error) {
+    if (isNonceAlreadyUsedError(error)) {
+      logger.debug(
+        `Nonce ${drop.nonce} of drop to ${drop.to} is already used: ${error.message}`
+      );
+      return;
+    }
+
+    logger.error(
+      `Failed to cancel nonce ${drop.nonce} of drop to ${drop.to} (original tx: ${drop.hash}): ${error.message}`
+    );
+  }
+}
+
+/**
+ * Send a replacement transaction with the same nonce and a higher fee
+ * A 'speedup' resends the drop, a 'cancel' is a zero-value transfer to the drop wallet itself
+ *
+ * @param {object} drop - Stuck drop record
+ * @param {string} type - Replacement type ('speedup' or 'cancel')
+ * @returns {Promise<void>}
+ */
+async function sendReplacement(drop, type) {
+  const fees = bumpFees(drop.fees);
+  const isCancel = type === "cancel";
+
+  const hash = await getSender(drop.from).walletClient.sendTransaction({
+    ...(isCancel
+      ? { to: drop.from, value: 0n }
+      : getRewardAsset().buildTransfer({
+          from: drop.from,
+          to: drop.to,
+          amount: drop.value,
+          tokenId: drop.tokenId,
+        })),
+    nonce: drop.nonce,
+    ...fees,
+  });
+
+  recordReplacement(drop, { type, hash, fees });
+}
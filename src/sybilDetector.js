@@ -0,0 +1,289 @@
+import path from "node:path";
+import fs from "node:fs";
+import { config } from "./config.js";
+import { logger } from "./logger.js";
+import { scheduleTask } from "./timeManager.js";
+import { loadStore, saveStore } from "./persistentStore.js";
+import { getSenders } from "./senderPool.js";
+
+const funderOf = new Map();
+const fundedBy = new Map();
+
+const SYBIL_STORE_NAME = "sybilClusters";
+
+/**
+ * Initialize the sybil detector and restore known funding relationships
+ *
+ * @returns {void}
+ */
+export function initializeSybilDetector() {
+  if (!config.sybilDetection) {
+    return;
+  }
+
+  logger.info("Initializing sybil detector...");
+
+  restoreFundingRelationships();
+
+  // A dry run learns clusters as usual but leaves the saved ones as they are
+  if (!config.dryRun) {
+    scheduleTask(
+      "persistSybilClusters",
+      async () => persistFundingRelationships(),
+      config.cachePersistInterval * 1000
+    );
+
+    process.on("exit", persistFundingRelationships);
+  }
+
+  scheduleTask(
+    "logSybilClusterStats",
+    async () => {
+      logger.info(
+        `[STATUS] Sybil clusters: ${
+          getClusters().length
+        } clusters with at least ${
+          config.sybilMinClusterSize
+        } addresses, Tracked addresses=${funderOf.size}`
+      );
+    },
+    config.logStatusInterval * 1000
+  );
+}
+
+/**
+ * Check if an address is ignored as a funder
+ * Our own drop wallets and configured hubs (faucets, bridges) fund too many unrelated addresses to mean anything
+ *
+ * @param {string} address - Funder address
+ * @returns {boolean} True if funding from this address is ignored
+ */
+function isIgnoredFunder(address) {
+  return (
+    config.sybilIgnoredFunders.some(
+      (ignored) => ignored.toLowerCase() === address
+    ) ||
+    getSenders().some(
+      (sender) => sender.account.address.toLowerCase() === address
+    )
+  );
+}
+
+/**
+ * Record a funding relationship, keeping the first funder seen for an address
+ *
+ * @param {string} funder - Funder address
+ * @param {string} address - Funded address
+ * @param {number} blockNumber - Block the funding was seen in
+ * @returns {boolean} True if a new relationship was recorded
+ */
+function addFundingRelationship(funder, address, blockNumber) {
+  if (funderOf.has(address)) {
+    return false;
+  }
+
+  funderOf.set(address, { funder, blockNumber });
+
+  if (!fundedBy.has(funder)) {
+    fundedBy.set(funder, new Set());
+  }
+  fundedBy.get(funder).add(address);
+
+  // Forget the oldest relationships once the limit is reached
+  while (funderOf.size > config.sybilMaxTrackedAddresses) {
+    const [oldestAddress, { funder: oldestFunder }] = funderOf
+      .entries()
+      .next().value;
+
+    funderOf.delete(oldestAddress);
+    fundedBy.get(oldestFunder).delete(oldestAddress);
+    if (fundedBy.get(oldestFunder).size === 0) {
+      fundedBy.delete(oldestFunder);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Learn funding relationships from the native transfers in a block
+ *
+ * @param {object} block - Block with transactions
+ * @returns {void}
+ */
+export function recordFundingTransfers(block) {
+  if (!config.sybilDetection) {
+    return;
+  }
+
+  let recorded = 0;
+
+  for (const tx of block.transactions) {
+    // Only plain native transfers count as funding
+    if (!tx.from || !tx.to || !tx.value || tx.input !== "0x") {
+      continue;
+    }
+
+    const funder = tx.from.toLowerCase();
+    const address = tx.to.toLowerCase();
+
+    if (funder === address || isIgnoredFunder(funder)) {
+      continue;
+    }
+
+    if (addFundingRelationship(funder, address, Number(block.number))) {
+      recorded++;
+    }
+  }
+
+  if (recorded > 0) {
+    logger.trace(
+      `Recorded ${recorded} funding relationships from block ${block.number}`
+    );
+  }
+}
+
+/**
+ * Forget the funding relationships learned from blocks after a block, e.g. blocks orphaned by a reorg
+ * The canonical blocks are processed again, so their funding transfers are learned again
+ *
+ * @param {number} blockNumber - Last block to keep the relationships of
+ * @returns {number} Number of relationships forgotten
+ */
+export function forgetFundingTransfersAfter(blockNumber) {
+  let forgotten = 0;
+
+  for (const [address, { funder, blockNumber: fundedIn }] of funderOf) {
+    if (fundedIn <= blockNumber) {
+      continue;
+    }
+
+    funderOf.delete(address);
+    fundedBy.get(funder).delete(address);
+    if (fundedBy.get(funder).size === 0) {
+      fundedBy.delete(funder);
+    }
+    forgotten++;
+  }
+
+  return forgotten;
+}
+
+/**
+ * Get the cluster an address belongs to
+ * Addresses are clustered by their funder, once the funder has funded at least sybilMinClusterSize addresses
+ *
+ * @param {string} address - Address to look up
+ * @returns {string|null} Cluster ID (the funder address), or null if the address isn't in a cluster
+ */
+export function getClusterId(address) {
+  if (!config.sybilDetection) {
+    return null;
+  }
+
+  const relationship = funderOf.get(address.toLowerCase());
+  if (!relationship) {
+    return null;
+  }
+
+  const clusterSize = fundedBy.get(relationship.funder).size;
+  return clusterSize >= config.sybilMinClusterSize ? relationship.funder : null;
+}
+
+/**
+ * Get all clusters with at least sybilMinClusterSize addresses, largest first
+ *
+ * @returns {Array<{funder: string, addresses: Array<string>}>} Sybil clusters
+ */
+export function getClusters() {
+  return [...fundedBy.entries()]
+    .filter(([, addresses]) => addresses.size >= config.sybilMinClusterSize)
+    .map(([funder, addresses]) => ({ funder, addresses: [...addresses] }))
+    .sort((a, b) => b.addresses.length - a.addresses.length);
+}
+
+/**
+ * Save the funding relationships to disk
+ *
+ * @returns {boolean} True if the funding relationships were saved
+ */
+export function persistFundingRelationships() {
+  const relationships = {};
+  for (const [address, relationship] of funderOf.entries()) {
+    relationships[address] = relationship;
+  }
+
+  return saveStore(SYBIL_STORE_NAME, { savedAt: Date.now(), relationships });
+}
+
+/**
+ * Restore the funding relationships from disk
+ */
+function restoreFundingRelationships() {
+  const state = loadStore(SYBIL_STORE_NAME);
+
+  if (!state) {
+    return;
+  }
+
+  for (const [address, { funder, blockNumber }] of Object.entries(
+    state.relationships ?? {}
+  )) {
+    addFundingRelationship(funder, address, blockNumber);
+  }
+
+  logger.info(
+    `Restored ${funderOf.size} funding relationships (${
+      getClusters().length
+    } sybil clusters)`
+  );
+}
+
+/**
+ * Export the sybil clusters as CSV for review
+ * Each row is one clustered address with its funder and the block the funding was seen in
+ *
+ * @param {string} filePath - Path of the CSV file to write (optional)
+ * @returns {string} Path of the written file
+ */
+export function exportSybilClusters(
+  filePath = path.resolve(config.dataDirectory, "sybilClusters.csv")
+) {
+  const rows = ["funder,address,clusterSize,fundedInBlock"];
+
+  for (const { funder, addresses } of getClusters()) {
+    for (const address of addresses) {
+      rows.push(
+        `${funder},${address},${addresses.length},${
+          funderOf.get(address).blockNumber
+        }`
+      );
+    }
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, rows.join("\n") + "\n");
+
+  return filePath;
+}
+
+/**
+ * Load the persisted funding relationships and export them
+ */
+async function exportPersistedClusters() {
+  restoreFundingRelationships();
+
+  const filePath = exportSybilClusters(process.argv[2]);
+  logger.success(
+    `Exported ${getClusters().length} sybil clusters to ${filePath}`
+  );
+}
+
+if (import.meta.url.endsWith(process.argv[1])) {
+  exportPersistedClusters()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error(`Failed to export sybil clusters: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -1,6 +1,7 @@
 import { logger } from "./logger.js";
 
 const intervals = new Map();
+const taskFunctions = new Map();
 
 /**
  * Schedule a task to run at a specific interval
@@ -29,9 +30,26 @@ export function scheduleTask(taskName, taskFn, intervalMs) {
   }, intervalMs);
 
   intervals.set(taskName, intervalId);
+  taskFunctions.set(taskName, taskFn);
   return intervalId;
 }
 
+/**
+ * Change the interval of a scheduled task, keeping its function
+ *
+ * @param {string} taskName - Name of the task to reschedule
+ * @param {number} intervalMs - New interval in milliseconds
+ * @returns {boolean} True if the task was rescheduled, false if it isn't scheduled
+ */
+export function rescheduleTask(taskName, intervalMs) {
+  if (!intervals.has(taskName)) {
+    return false;
+  }
+
+  scheduleTask(taskName, taskFunctions.get(taskName), intervalMs);
+  return true;
+}
+
 /**
  * Trigger a scheduled task immediately
  *
@@ -53,6 +71,16 @@ export async function triggerTaskNow(taskName, taskFn) {
   }
 }
 
+/**
+ * Wait for a given amount of time
+ *
+ * @param {number} ms - Time to wait in milliseconds
+ * @returns {Promise<void>}
+ */
+export function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 /**
  * Clear a scheduled task
  *
@@ -63,6 +91,7 @@ export function clearScheduledTask(taskName) {
   if (intervals.has(taskName)) {
     clearInterval(intervals.get(taskName));
     intervals.delete(taskName);
+    taskFunctions.delete(taskName);
     logger.debug(`Cleared scheduled task ${taskName}`);
     return true;
   }
@@ -80,6 +109,7 @@ export function clearAllScheduledTasks() {
   }
 
   intervals.clear();
+  taskFunctions.clear();
   logger.debug(`Cleared all scheduled tasks. Stopping...`);
 }
 
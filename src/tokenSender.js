@@ -1,41 +1,74 @@
-import dotenv from "dotenv";
 import { config } from "./config.js";
 import { logger } from "./logger.js";
-import { scheduleTask } from "./timeManager.js";
-import { monadTestnet, publicClient } from "./blockMonitor.js";
-import { incrementBatch } from "./batchManager.js";
+import { scheduleTask, wait } from "./timeManager.js";
+import { monadTestnet } from "./blockMonitor.js";
+import { incrementBatch, getCurrentBatch } from "./batchManager.js";
 import { incrementDropCount } from "./batchManager.js";
-import { parseEther, createWalletClient, http } from "viem";
-import { privateKeyToAccount, nonceManager } from "viem/accounts";
+import { trackBatch } from "./confirmationTracker.js";
+import { removeFromWalletAddressCache } from "./cacheManager.js";
+import { getFeeParameters, formatFees } from "./feeStrategy.js";
+import {
+  initializeSenderPool,
+  getSenders,
+  getRewardBalance,
+  refreshSenderBalances,
+  assignSenders,
+} from "./senderPool.js";
+import { isDisperseContractDeployed, sendDisperseBatch } from "./disperse.js";
+import { incrementCounter } from "./metrics.js";
+import { raiseAlert, resolveAlert } from "./alerting.js";
+import { applySpendBudget, recordSpend } from "./spendBudget.js";
+import {
+  getDropAmounts,
+  estimateAmountPerDrop,
+  formatAmountSpread,
+} from "./dropAmounts.js";
+import {
+  getRewardAsset,
+  isNativeReward,
+  isNftReward,
+  formatRewardAmount,
+} from "./rewardAsset.js";
+import {
+  allocateNftRewards,
+  releaseNftReward,
+  getNftInventoryStatus,
+} from "./nftInventory.js";
+import { WaitForTransactionReceiptTimeoutError } from "viem";
 
-dotenv.config();
-
-let account;
-let walletClient;
+let useDisperse = false;
 let isProcessingSend = false;
 let transactionQueue = [];
+let consecutiveSendFailures = 0;
 
 /**
- * Initialize wallet from private key
+ * Initialize drop wallets from private keys
  * @returns {Promise<void>}
  */
 export async function initializeWallet() {
-  const PRIVATE_KEY = process.env.PRIVATE_KEY;
-  if (!PRIVATE_KEY) {
-    throw new Error(
-      "Private key not found. Set the PRIVATE_KEY environment variable."
-    );
-  }
+  initializeSenderPool();
+  await refreshSenderBalances();
 
-  account = privateKeyToAccount(PRIVATE_KEY, { nonceManager });
-
-  walletClient = createWalletClient({
-    account,
-    chain: monadTestnet,
-    transport: http(),
-  });
+  if (config.dropMode === "disperse" && !isNativeReward()) {
+    // The disperse contract only sends native value, and token drops are sent without allowances
+    logger.warn(
+      `Disperse mode only supports native drops. Sending ${
+        getRewardAsset().symbol
+      } drops individually...`
+    );
+  } else if (config.dropMode === "disperse") {
+    useDisperse = await isDisperseContractDeployed();
 
-  logger.info(`Drop wallet configured with address: ${account.address}`);
+    if (useDisperse) {
+      logger.info(
+        `Sending drops through disperse contract ${config.disperseContractAddress}`
+      );
+    } else {
+      logger.warn(
+        `No disperse contract found at ${config.disperseContractAddress}. Falling back to individual sends...`
+      );
+    }
+  }
 
   scheduleTask(
     "processTransactionQueue",
@@ -51,25 +84,96 @@ export async function initializeWallet() {
 }
 
 /**
- * Check wallet balance
+ * Check per-wallet and total balances of the sender pool, token balances for token drops and the inventory for NFT drops
  * @returns {Promise<void>}
  */
 async function checkWalletBalance() {
   try {
-    const balance = await publicClient.getBalance({
-      address: account.address,
-      blockTag: "latest",
-    });
+    const senders = await refreshSenderBalances();
+    const { symbol } = getRewardAsset();
+    const isNative = isNativeReward();
+    let balance = 0n;
+    let rewardBalance = 0n;
+
+    /**
+     * Format a token balance for the status logs
+     *
+     * @param {bigint|null} tokenBalance - Token balance in base units
+     * @returns {string} Formatted balance
+     */
+    const formatTokenBalance = (tokenBalance) =>
+      tokenBalance === null
+        ? `unknown ${symbol}`
+        : `${Number(formatRewardAmount(tokenBalance)).toFixed(4)} ${symbol}`;
+
+    for (const sender of senders) {
+      rewardBalance += getRewardBalance(sender) ?? 0n;
+
+      if (sender.balance === null) {
+        logger.info(
+          `[STATUS] Wallet ${sender.account.address} balance: unknown${
+            isNative ? "" : `, ${formatTokenBalance(sender.tokenBalance)}`
+          }`
+        );
+        continue;
+      }
+
+      balance += sender.balance;
+      logger.info(
+        `[STATUS] Wallet ${sender.account.address} balance: ${(
+          Number(sender.balance) /
+          10 ** 18
+        ).toFixed(4)} ${config.currencySymbol}${
+          isNative ? "" : `, ${formatTokenBalance(sender.tokenBalance)}`
+        }${sender.isLowOnFunds ? " (low on funds, skipped)" : ""}`
+      );
+    }
+
     const balanceInMon = Number(balance) / 10 ** 18;
 
-    logger.info(`[STATUS] Wallet balance: ${balanceInMon.toFixed(4)} MON`);
+    logger.info(
+      `[STATUS] Total wallet balance: ${balanceInMon.toFixed(4)} ${
+        config.currencySymbol
+      }${isNative ? "" : ` and ${formatTokenBalance(rewardBalance)}`} across ${
+        senders.length
+      } wallets`
+    );
 
-    // Warn if balance is getting low (10x buffer)
-    if (balanceInMon < config.addressesPerBatch * config.amountPerDrop * 10) {
-      logger.warn(
-        `Low wallet balance: ${balanceInMon.toFixed(
-          4
-        )} MON - Consider adding more funds`
+    // The native balance pays the gas of every drop, on top of the amounts of native drops
+    let nativeNeededPerDrop = estimateAmountPerDrop();
+    if (!isNative) {
+      const fees = await getFeeParameters();
+      nativeNeededPerDrop =
+        Number(
+          getRewardAsset().transferGas * (fees.maxFeePerGas ?? fees.gasPrice)
+        ) /
+        10 ** 18;
+    }
+
+    // Warn if the balance is getting low (10x buffer)
+    await checkLowBalance(
+      "lowBalance",
+      balanceInMon,
+      config.addressesPerBatch * nativeNeededPerDrop * 10,
+      config.currencySymbol,
+      senders.length
+    );
+
+    if (isNftReward()) {
+      // NFT drops pause by themselves once the inventory runs out
+      const { remaining, awarded } = getNftInventoryStatus();
+      logger.info(
+        `[STATUS] NFT inventory: ${
+          remaining === null ? "unlimited" : remaining
+        } drops left, ${awarded} ${symbol} awarded`
+      );
+    } else if (!isNative) {
+      await checkLowBalance(
+        "lowTokenBalance",
+        Number(formatRewardAmount(rewardBalance)),
+        config.addressesPerBatch * estimateAmountPerDrop() * 10,
+        symbol,
+        senders.length
       );
     }
   } catch (error) {
@@ -77,6 +181,44 @@ async function checkWalletBalance() {
   }
 }
 
+/**
+ * Warn and raise an alert when a total balance of the sender pool is below what it needs, and resolve it once it is back
+ *
+ * @param {string} alertType - Alert to raise ('lowBalance' for the native balance, 'lowTokenBalance' for the reward token)
+ * @param {number} balance - Total balance in whole units
+ * @param {number} needed - Balance needed in whole units
+ * @param {string} symbol - Symbol of the balance
+ * @param {number} walletCount - Number of wallets in the sender pool
+ * @returns {Promise<void>}
+ */
+async function checkLowBalance(
+  alertType,
+  balance,
+  needed,
+  symbol,
+  walletCount
+) {
+  if (balance < needed) {
+    logger.warn(
+      `Low wallet balance: ${balance.toFixed(
+        4
+      )} ${symbol} - Consider adding more funds`
+    );
+
+    await raiseAlert(
+      alertType,
+      `Total wallet balance is down to ${balance.toFixed(
+        4
+      )} ${symbol} across ${walletCount} wallets. Consider adding more funds`
+    );
+  } else {
+    await resolveAlert(
+      alertType,
+      `Total wallet balance is back at ${balance.toFixed(4)} ${symbol}`
+    );
+  }
+}
+
 /**
  * Process any transactions in the queue
  * @returns {Promise<void>}
@@ -94,7 +236,7 @@ async function processTransactionQueue() {
       `Processing queued transaction batch with ${batch.addresses.length} addresses`
     );
 
-    await processBatch(batch.addresses);
+    await processBatch(batch.addresses, batch.activity);
   } catch (error) {
     logger.error(`Error processing transaction queue: ${error.message}`);
   } finally {
@@ -102,60 +244,390 @@ async function processTransactionQueue() {
   }
 }
 
+/**
+ * Track a send of a wallet as in flight until it settles
+ *
+ * @param {object} sender - Sender pool wallet the send is from
+ * @param {Promise} send - Send in progress
+ * @returns {Promise} The same send, removed from the in-flight sends once it settles
+ */
+function trackInFlight(sender, send) {
+  const tracked = send.finally(() => sender.inFlightSends.delete(tracked));
+  sender.inFlightSends.add(tracked);
+  return tracked;
+}
+
+/**
+ * Resync the nonce manager of a wallet with the network
+ * Waits for the wallet's other sends to settle first, as resetting while they hold nonces would hand those nonces out again
+ *
+ * @param {object} sender - Sender pool wallet to resync
+ * @returns {Promise<void>}
+ */
+async function resyncNonce(sender) {
+  while (sender.inFlightSends.size > 0) {
+    await Promise.allSettled([...sender.inFlightSends]);
+  }
+
+  sender.account.nonceManager.reset({
+    address: sender.account.address,
+    chainId: monadTestnet.id,
+  });
+}
+
+/**
+ * Send a drop to a single address, retrying with exponential backoff on failure
+ *
+ * @param {object} sender - Sender pool wallet to send from
+ * @param {string} to - Recipient address
+ * @param {bigint} amount - Amount of the reward asset to send in base units
+ * @param {bigint|null} tokenId - Token ID to drop for NFT drops (optional)
+ * @param {object} fees - Fee parameters to send with
+ * @returns {Promise<object>} Sent transaction details (hash, nonce, fees and number of attempts made)
+ */
+async function sendWithRetry(sender, to, amount, tokenId, fees) {
+  const { account, walletClient } = sender;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { hash, request } = await trackInFlight(
+        sender,
+        (async () => {
+          // Prepare first so the nonce is known and a stuck transaction can be replaced later
+          const request = await walletClient.prepareTransactionRequest({
+            ...getRewardAsset().buildTransfer({
+              from: account.address,
+              to,
+              amount,
+              tokenId,
+            }),
+            ...fees,
+            nonceManager: account.nonceManager,
+          });
+          return { hash: await walletClient.sendTransaction(request), request };
+        })()
+      );
+      sender.lastNonce = request.nonce;
+
+      return {
+        hash,
+        from: account.address,
+        nonce: request.nonce,
+        value: amount,
+        fees,
+        attempts: attempt,
+      };
+    } catch (error) {
+      if (attempt >= config.maxSendAttempts) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = Math.min(
+        config.sendRetryBaseDelay * 2 ** (attempt - 1),
+        config.sendRetryMaxDelay
+      );
+
+      logger.warn(
+        `Attempt ${attempt}/${config.maxSendAttempts} to send to ${to} failed: ${error.message}. Retrying in ${delay}s...`
+      );
+
+      // The nonce manager is out of sync with the network, so resync it before retrying
+      if (/nonce/i.test(error.message)) {
+        await resyncNonce(sender);
+      }
+
+      await wait(delay * 1000);
+    }
+  }
+}
+
+/**
+ * Send a drop to a single address with its own transaction
+ *
+ * @param {object} assignment - Recipient, its amount in base units and its assigned sender pool wallet
+ * @param {object} fees - Fee parameters to send with
+ * @returns {Promise<object>} Transaction result
+ */
+async function sendDrop({ to, amount, tier, tokenId, holder, sender }, fees) {
+  if (!sender) {
+    logger.error(
+      `❌ Failed to send to ${to}: No drop wallet with sufficient funds`,
+      { category: "tx", batch: getCurrentBatch(), address: to }
+    );
+    removeFromWalletAddressCache(to);
+
+    return {
+      to,
+      tier,
+      tokenId,
+      holder,
+      attempts: 0,
+      status: "failed",
+      error: "No drop wallet with sufficient funds",
+    };
+  }
+
+  try {
+    const sent = await sendWithRetry(sender, to, amount, tokenId, fees);
+
+    logger.tx(
+      `📤 Sent ${formatRewardAmount(amount)} ${getRewardAsset().symbol}${
+        tokenId === undefined || tokenId === null ? "" : ` #${tokenId}`
+      } to ${to} in tx: ${sent.hash}`,
+      { batch: getCurrentBatch(), address: to, hash: sent.hash }
+    );
+    return { to, ...sent, tier, tokenId, holder, status: "sent" };
+  } catch (error) {
+    logger.error(
+      `❌ Failed to send to ${to} after ${error.attempts} attempts: ${error.message}`,
+      { category: "tx", batch: getCurrentBatch(), address: to }
+    );
+
+    // Release the cooldown so the address stays eligible for the next drops
+    removeFromWalletAddressCache(to);
+
+    return {
+      to,
+      tier,
+      tokenId,
+      holder,
+      attempts: error.attempts,
+      status: "failed",
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Send drops through the disperse contract with one transaction per sender pool wallet
+ * Falls back to individual sends for a wallet's recipients if its disperse call reverts
+ *
+ * @param {Array} assignments - Recipients with their amounts and assigned sender pool wallets
+ * @param {object} fees - Fee parameters to send with
+ * @returns {Promise<Array>} Transaction results
+ */
+async function sendDisperseDrops(assignments, fees) {
+  const recipientsBySender = new Map();
+  const unassigned = [];
+
+  for (const assignment of assignments) {
+    if (!assignment.sender) {
+      unassigned.push(assignment);
+      continue;
+    }
+
+    if (!recipientsBySender.has(assignment.sender)) {
+      recipientsBySender.set(assignment.sender, []);
+    }
+    recipientsBySender.get(assignment.sender).push(assignment);
+  }
+
+  const groupResults = await Promise.all(
+    [...recipientsBySender.entries()].map(async ([sender, group]) => {
+      const recipients = group.map((assignment) => assignment.to);
+      const values = group.map((assignment) => assignment.amount);
+      const from = sender.account.address;
+
+      try {
+        const { hash, receipt } = await sendDisperseBatch(
+          sender,
+          recipients,
+          values,
+          fees
+        );
+
+        if (receipt.status === "success") {
+          logger.tx(
+            `✅ Dispersed ${formatAmountSpread(
+              group.map((assignment) => ({ value: assignment.amount }))
+            )} to ${recipients.length} addresses in block ${
+              receipt.blockNumber
+            } (tx: ${hash})`,
+            { batch: getCurrentBatch(), block: receipt.blockNumber, hash }
+          );
+
+          // Split the gas fee of the call across its recipients
+          const gasFee =
+            (receipt.gasUsed * receipt.effectiveGasPrice) /
+            BigInt(recipients.length);
+
+          return recipients.map((to, i) => ({
+            to,
+            hash,
+            from,
+            value: values[i],
+            tier: group[i].tier,
+            fees,
+            gasFee,
+            attempts: 1,
+            blockNumber: receipt.blockNumber,
+            status: "confirmed",
+          }));
+        }
+
+        logger.warn(
+          `Disperse call from ${from} reverted (tx: ${hash}). Falling back to individual sends...`,
+          { category: "tx", batch: getCurrentBatch(), hash }
+        );
+      } catch (error) {
+        if (error instanceof WaitForTransactionReceiptTimeoutError) {
+          // The call may still be mined, so sending again could pay recipients twice
+          logger.warn(
+            `Disperse call from ${from} not confirmed after ${config.confirmationTimeout}s: ${error.message}`
+          );
+
+          return recipients.map((to, i) => ({
+            to,
+            from,
+            value: values[i],
+            tier: group[i].tier,
+            fees,
+            attempts: 1,
+            status: "timeout",
+          }));
+        }
+
+        logger.warn(
+          `Disperse call from ${from} failed: ${error.message}. Falling back to individual sends...`
+        );
+      }
+
+      return Promise.all(group.map((assignment) => sendDrop(assignment, fees)));
+    })
+  );
+
+  const unassignedResults = await Promise.all(
+    unassigned.map((assignment) => sendDrop(assignment, fees))
+  );
+
+  return [...groupResults.flat(), ...unassignedResults];
+}
+
 /**
  * Process a batch of transactions
  * @param {Array} addresses - Array of recipient addresses
+ * @param {Map} activity - Activity by address in the scanned blocks, for the 'activity' amount strategy (optional)
  * @returns {Promise<Array>} Transaction results
  */
-async function processBatch(addresses) {
-  const amount = parseEther(config.amountPerDrop.toFixed(18));
+async function processBatch(addresses, activity) {
+  const batchNumber = getCurrentBatch();
+  const fees = await getFeeParameters();
+  const gasCostPerDrop =
+    getRewardAsset().transferGas * (fees.maxFeePerGas ?? fees.gasPrice);
 
-  logger.info(
-    `Sending ${config.amountPerDrop.toFixed(8)} ${config.currencySymbol} to ${
-      addresses.length
-    } random addresses...`
+  await refreshSenderBalances();
+
+  let recipients = applySpendBudget(
+    getDropAmounts(addresses, activity),
+    gasCostPerDrop,
+    batchNumber
   );
+  if (isNftReward()) {
+    recipients = await allocateNftRewards(recipients, batchNumber);
+  }
+  if (recipients.length === 0) {
+    return [];
+  }
 
-  const transactionPromises = addresses.map(async (to) => {
-    try {
-      const hash = await walletClient.sendTransaction({
-        to,
-        value: amount,
-        gasPrice: config.gasPrice,
-      });
+  const assignments = assignSenders(recipients, gasCostPerDrop);
+
+  logger.info(
+    `Sending ${formatAmountSpread(
+      recipients.map((recipient) => ({ ...recipient, value: recipient.amount }))
+    )} to ${recipients.length} random addresses (Fees: ${formatFees(fees)})...`,
+    { batch: batchNumber }
+  );
 
-      logger.tx(
-        `✅ Sent ${config.amountPerDrop.toFixed(8)} MON to ${to} in tx: ${hash}`
+  const transactions = useDisperse
+    ? await sendDisperseDrops(assignments, fees)
+    : await Promise.all(
+        assignments.map((assignment) => sendDrop(assignment, fees))
       );
-      return { to, hash, status: "sent" };
-    } catch (error) {
-      logger.error(`❌ Failed to send to ${to}: ${error.message}`);
-      return { to, status: "failed", error: error.message };
-    }
-  });
 
-  const transactions = await Promise.all(transactionPromises);
+  for (const tx of transactions) {
+    if (tx.status === "failed") {
+      releaseNftReward(tx);
+    }
+  }
 
-  const successful = transactions.filter((tx) => tx.status === "sent").length;
-  const failed = transactions.filter((tx) => tx.status === "failed").length;
+  const sent = transactions.filter((tx) => tx.status !== "failed");
+  const successful = sent.length;
+  const failed = transactions.length - successful;
 
-  logger.success(
-    `$MON drop complete: ${successful} successful, ${failed} failed`
+  logger.info(
+    `${
+      getRewardAsset().symbol
+    } drop batch ${batchNumber} broadcast: ${successful} sent, ${failed} failed, ${formatAmountSpread(
+      sent
+    )}. Waiting for confirmations...`,
+    { batch: batchNumber }
   );
 
+  // Sent drops are counted in drops_total once they settle
+  incrementCounter("drops_sent_total", {}, successful);
+  incrementCounter("drops_total", { status: "failed" }, failed);
+  recordSpend(transactions, gasCostPerDrop);
+
+  trackBatch(batchNumber, transactions);
   incrementBatch();
 
+  // Alerts are posted in the background, so a slow webhook doesn't hold up the next batch
+  checkSendFailures(transactions).catch((error) => {
+    logger.error(`Error checking for send failures: ${error.message}`);
+  });
+
   return transactions;
 }
 
+/**
+ * Alert after alertSendFailureThreshold failed sends in a row, and recover once a send goes through
+ *
+ * @param {Array} transactions - Transaction results of the batch, in order
+ * @returns {Promise<void>}
+ */
+async function checkSendFailures(transactions) {
+  let lastError = null;
+  let recovered = false;
+
+  for (const tx of transactions) {
+    if (tx.status === "failed") {
+      consecutiveSendFailures++;
+      lastError = tx.error;
+    } else {
+      consecutiveSendFailures = 0;
+      recovered = true;
+    }
+  }
+
+  if (consecutiveSendFailures >= config.alertSendFailureThreshold) {
+    await raiseAlert(
+      "sendFailures",
+      `${consecutiveSendFailures} drops in a row failed to send. Last error: ${lastError}`
+    );
+  } else if (recovered) {
+    await resolveAlert("sendFailures", "Drops are being sent again");
+  }
+}
+
+/**
+ * Get the number of batches waiting for a send in progress to finish
+ *
+ * @returns {number} Queued batches
+ */
+export function getTransactionQueueLength() {
+  return transactionQueue.length;
+}
+
 /**
  * Send tokens to multiple addresses (or queue them if a send is in progress)
  *
  * @param {Array} addresses - Array of recipient addresses
+ * @param {Map} activity - Activity by address in the scanned blocks, for the 'activity' amount strategy (optional)
  * @returns {Promise<Array>} Transaction results
  */
-export async function sendTokens(addresses) {
-  if (!account || !walletClient) {
+export async function sendTokens(addresses, activity) {
+  if (getSenders().length === 0) {
     throw new Error("Wallet not initialized. Call initializeWallet() first.");
   }
 
@@ -168,14 +640,14 @@ export async function sendTokens(addresses) {
     logger.debug(
       `Queueing batch with ${addresses.length} addresses for later processing...`
     );
-    transactionQueue.push({ addresses });
+    transactionQueue.push({ addresses, activity });
     return [];
   }
 
   isProcessingSend = true;
 
   try {
-    return await processBatch(addresses);
+    return await processBatch(addresses, activity);
   } finally {
     isProcessingSend = false;
     incrementDropCount();
@@ -0,0 +1,97 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { useTestEnvironment } from "./helpers.js";
+
+describe("alert webhooks", () => {
+  let server;
+  let modules;
+  let failingPath = null;
+  const requests = [];
+
+  before(async () => {
+    // Stands in for the generic, Discord and Telegram webhooks
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ path: req.url, body: JSON.parse(body) });
+        res.writeHead(req.url === failingPath ? 500 : 200);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    useTestEnvironment({
+      ALERT_WEBHOOK_URL: `${url}/webhook`,
+      DISCORD_WEBHOOK_URL: `${url}/discord`,
+      MONDROP_TELEGRAM_API_URL: url,
+      TELEGRAM_BOT_TOKEN: "token",
+      TELEGRAM_CHAT_ID: "42",
+      MONDROP_ALERT_COOLDOWN: "3600",
+    });
+
+    modules = await import("../src/alerting.js");
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    failingPath = null;
+  });
+
+  after(() => {
+    server?.close();
+  });
+
+  it("posts an alert to every webhook in its format", async () => {
+    await modules.raiseAlert("lowBalance", "Drop wallet is low on funds");
+
+    const byPath = Object.fromEntries(
+      requests.map(({ path, body }) => [path, body])
+    );
+    assert.deepEqual(Object.keys(byPath).sort(), [
+      "/bottoken/sendMessage",
+      "/discord",
+      "/webhook",
+    ]);
+
+    assert.equal(byPath["/webhook"].type, "lowBalance");
+    assert.equal(byPath["/webhook"].status, "alert");
+    assert.equal(byPath["/webhook"].message, "Drop wallet is low on funds");
+    assert.equal(
+      byPath["/discord"].content,
+      "🚨 MonDrop alert (lowBalance): Drop wallet is low on funds"
+    );
+    assert.deepEqual(byPath["/bottoken/sendMessage"], {
+      chat_id: "42",
+      text: "🚨 MonDrop alert (lowBalance): Drop wallet is low on funds",
+    });
+  });
+
+  it("doesn't post a raised alert again during its cooldown", async () => {
+    await modules.raiseAlert("lowBalance", "Still low on funds");
+
+    assert.equal(requests.length, 0);
+  });
+
+  it("posts a recovery once, with the time the alert was raised", async () => {
+    await modules.resolveAlert("lowBalance", "Drop wallet was topped up");
+
+    assert.equal(requests.length, 3);
+    const webhook = requests.find(({ path }) => path === "/webhook").body;
+    assert.equal(webhook.status, "resolved");
+    assert.ok(Date.parse(webhook.raisedAt) <= Date.parse(webhook.time));
+
+    await modules.resolveAlert("lowBalance", "Drop wallet was topped up");
+    assert.equal(requests.length, 3);
+  });
+
+  it("keeps posting to the other webhooks when one fails", async () => {
+    failingPath = "/discord";
+
+    await modules.raiseAlert("sendFailures", "5 drops in a row failed");
+
+    assert.equal(requests.length, 3);
+  });
+});
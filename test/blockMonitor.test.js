@@ -0,0 +1,140 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import {
+  mineBlock,
+  startChain,
+  useTestEnvironment,
+  waitFor,
+} from "./helpers.js";
+
+/**
+ * Start a TCP proxy to a port that can drop its connections and come back, like a flaky WebSocket endpoint
+ *
+ * @param {number} targetPort - Port to forward to
+ * @returns {Promise<object>} Proxy with its port, connection count, and drop, restore and close functions
+ */
+async function startProxy(targetPort) {
+  const sockets = new Set();
+  const proxy = { port: null, connections: 0 };
+
+  const listen = (port) =>
+    new Promise((resolve) => {
+      proxy.server = net.createServer((socket) => {
+        proxy.connections++;
+        const upstream = net.connect(targetPort, "127.0.0.1");
+        for (const end of [socket, upstream]) {
+          sockets.add(end);
+          end.on("close", () => sockets.delete(end));
+          end.on("error", () => end.destroy());
+        }
+        socket.pipe(upstream).pipe(socket);
+      });
+      proxy.server.listen(port, "127.0.0.1", () => {
+        proxy.port = proxy.server.address().port;
+        resolve();
+      });
+    });
+
+  proxy.drop = () =>
+    new Promise((resolve) => {
+      proxy.server.close(resolve);
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+    });
+  proxy.restore = () => listen(proxy.port);
+  proxy.close = () => (proxy.server.listening ? proxy.drop() : undefined);
+
+  await listen(0);
+  return proxy;
+}
+
+describe("WebSocket block ingestion", () => {
+  let chain;
+  let proxy;
+  let modules;
+  const messages = [];
+
+  before(async () => {
+    chain = await startChain();
+    proxy = await startProxy(Number(new URL(chain.url).port));
+    useTestEnvironment({
+      MONDROP_LOG_LEVEL: "WARN",
+      RPC_URL: chain.url,
+      WS_RPC_URL: `ws://127.0.0.1:${proxy.port}`,
+      MONDROP_BLOCK_INGESTION_MODE: "websocket",
+      // Long enough that only new heads bring blocks in until the socket drops
+      MONDROP_BLOCK_FETCH_INTERVAL: "3600",
+      MONDROP_WS_HEAD_TIMEOUT: "3600",
+      MONDROP_WS_RESUBSCRIBE_INTERVAL: "0.2",
+      MONDROP_DROP_INTERVAL: "3600",
+    });
+
+    const { config } = await import("../src/config.js");
+    const { registerLogSink } = await import("../src/logger.js");
+    const blockMonitor = await import("../src/blockMonitor.js");
+    const { clearAllScheduledTasks } = await import("../src/timeManager.js");
+
+    registerLogSink((entry) => messages.push(entry.message));
+    await blockMonitor.startBlockMonitor(async () => {});
+    modules = { config, blockMonitor, clearAllScheduledTasks };
+  });
+
+  after(async () => {
+    await proxy?.close();
+    // Closing the socket makes the monitor fall back to polling, so stop its tasks once it has
+    await waitFor(
+      () =>
+        messages.filter((message) =>
+          message.startsWith("WebSocket subscription dropped")
+        ).length === 2
+    );
+    modules?.clearAllScheduledTasks();
+    await chain?.close();
+  });
+
+  it("buffers blocks as their heads arrive over the subscription", async () => {
+    const { blockMonitor } = modules;
+    assert.equal(proxy.connections, 1);
+
+    await mineBlock(chain.url);
+    await mineBlock(chain.url);
+
+    await waitFor(() => blockMonitor.getBufferedBlockCount() === 2);
+  });
+
+  it("falls back to polling when the socket drops", async () => {
+    const { config, blockMonitor } = modules;
+    config.blockFetchInterval = 0.2;
+
+    await proxy.drop();
+    await waitFor(() =>
+      messages.some((message) =>
+        message.startsWith("WebSocket subscription dropped")
+      )
+    );
+
+    await mineBlock(chain.url);
+    await waitFor(() => blockMonitor.getBufferedBlockCount() === 3);
+  });
+
+  it("subscribes again once the socket comes back", async () => {
+    const { config, blockMonitor } = modules;
+
+    await proxy.restore();
+    await waitFor(
+      () =>
+        messages.filter((message) =>
+          message.startsWith("Subscribed to new heads")
+        ).length === 2
+    );
+    assert.equal(proxy.connections, 2);
+
+    // Polling stopped, so this block can only come in as a new head
+    config.blockFetchInterval = 3600;
+    await mineBlock(chain.url);
+    await waitFor(() => blockMonitor.getBufferedBlockCount() === 4);
+    assert.equal(blockMonitor.getBlockLag(), 0);
+  });
+});
@@ -0,0 +1,119 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { useTestEnvironment } from "./helpers.js";
+
+/**
+ * Load the config in a fresh process with the given environment
+ *
+ * @param {object} env - Environment variables to add
+ * @returns {{config: object|null, stderr: string}} Loaded config, or null if loading failed
+ */
+function loadConfigWithEnv(env) {
+  const result = spawnSync(
+    process.execPath,
+    [
+      "--input-type=module",
+      "-e",
+      'const { config } = await import("./src/config.js"); process.stdout.write(JSON.stringify(config, (key, value) => (typeof value === "bigint" ? value.toString() : value)));',
+    ],
+    {
+      cwd: new URL("..", import.meta.url),
+      env: { ...process.env, ...env },
+      encoding: "utf8",
+      timeout: 30000,
+    }
+  );
+
+  return {
+    config: result.status === 0 ? JSON.parse(result.stdout) : null,
+    stderr: result.stderr,
+  };
+}
+
+describe("config loader", () => {
+  let config;
+  let validateConfig;
+
+  before(async () => {
+    useTestEnvironment();
+    ({ config } = await import("../src/config.js"));
+    ({ validateConfig } = await import("../src/configLoader.js"));
+  });
+
+  it("accepts the defaults", () => {
+    assert.deepEqual(validateConfig(config), []);
+  });
+
+  it("rejects values out of range or of the wrong type, naming their source", () => {
+    const errors = validateConfig(
+      { ...config, amountPerDrop: -1, logLevel: "LOUD" },
+      { amountPerDrop: "config file mondrop.config.json" }
+    );
+
+    assert.deepEqual(errors, [
+      "amountPerDrop must be greater than 0 (got -1 from config file mondrop.config.json)",
+      'logLevel must be one of TRACE, DEBUG, INFO, WARN, ERROR, NONE (got "LOUD" from defaults)',
+    ]);
+  });
+
+  it("rejects conflicting settings", () => {
+    const errors = validateConfig({
+      ...config,
+      cacheCleanupInterval: 60,
+      dropInterval: 30,
+    });
+
+    assert.deepEqual(errors, [
+      "cacheCleanupInterval (60) must be less than or equal to dropInterval (30)",
+    ]);
+  });
+
+  it("rejects token ID ranges that are too large to scan", () => {
+    const errors = validateConfig({
+      ...config,
+      nftTokenIds: ["1-10000", "20000-40000"],
+    });
+
+    assert.equal(errors.length, 1);
+    assert.match(
+      errors[0],
+      /^nftTokenIds has an item "20000-40000" that must be a range of at most 10000 token IDs/
+    );
+  });
+
+  it("reads settings from prefixed environment variables", () => {
+    const { config } = loadConfigWithEnv({
+      MONDROP_DROP_INTERVAL: "45",
+      MONDROP_NETWORK: "sepolia",
+    });
+
+    assert.equal(config.dropInterval, 45);
+    assert.equal(config.network, "sepolia");
+    assert.equal(config.currencySymbol, "ETH");
+  });
+
+  it("ignores unprefixed environment variables, except the documented ones", () => {
+    const { config } = loadConfigWithEnv({
+      DROP_INTERVAL: "45",
+      LOG_FORMAT: "json",
+      RPC_URL: "http://127.0.0.1:9999",
+    });
+
+    assert.equal(config.dropInterval, 10);
+    assert.equal(config.logFormat, "text");
+    assert.equal(config.rpcUrl, "http://127.0.0.1:9999");
+  });
+
+  it("stops with the environment variable a bad value came from", () => {
+    const { config, stderr } = loadConfigWithEnv({
+      MONDROP_DROP_INTERVAL: "0",
+    });
+
+    assert.equal(config, null);
+    assert.match(
+      stderr,
+      /dropInterval must be greater than 0 \(got 0 from environment variable MONDROP_DROP_INTERVAL\)/
+    );
+  });
+});
@@ -0,0 +1,84 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseEther } from "viem";
+import { startChain, useTestEnvironment } from "./helpers.js";
+
+describe("disperse contract", () => {
+  let chain;
+  let modules;
+
+  before(async () => {
+    chain = await startChain();
+    useTestEnvironment({ RPC_URL: chain.url, WS_RPC_URL: chain.wsUrl });
+
+    const { config } = await import("../src/config.js");
+    const disperse = await import("../src/disperse.js");
+    const senderPool = await import("../src/senderPool.js");
+    const { publicClient } = await import("../src/blockMonitor.js");
+    const { compileDisperse } = await import("../src/compileDisperse.js");
+
+    senderPool.initializeSenderPool();
+    modules = { config, disperse, senderPool, publicClient, compileDisperse };
+  });
+
+  after(async () => {
+    await chain?.close();
+  });
+
+  it("compiles contracts/Disperse.sol to the deployed bytecode", () => {
+    assert.equal(modules.compileDisperse(), modules.disperse.DISPERSE_BYTECODE);
+  });
+
+  it("deploys and sends a batch to every recipient", async () => {
+    const { config, disperse, senderPool, publicClient } = modules;
+    const [sender] = senderPool.getSenders();
+
+    assert.equal(await disperse.isDisperseContractDeployed(), false);
+    config.disperseContractAddress = await disperse.deployDisperseContract(
+      sender
+    );
+    assert.equal(await disperse.isDisperseContractDeployed(), true);
+
+    const recipients = [
+      "0x1111111111111111111111111111111111111111",
+      "0x2222222222222222222222222222222222222222",
+      "0x3333333333333333333333333333333333333333",
+    ];
+    const values = [parseEther("0.1"), parseEther("0.2"), parseEther("0.3")];
+
+    const { receipt } = await disperse.sendDisperseBatch(
+      sender,
+      recipients,
+      values,
+      {}
+    );
+
+    assert.equal(receipt.status, "success");
+    for (const [index, recipient] of recipients.entries()) {
+      assert.equal(
+        await publicClient.getBalance({ address: recipient }),
+        values[index]
+      );
+    }
+    assert.equal(
+      await publicClient.getBalance({
+        address: config.disperseContractAddress,
+      }),
+      0n
+    );
+  });
+
+  it("reverts a batch whose recipients and amounts don't line up before broadcasting", async () => {
+    const { disperse, senderPool } = modules;
+    const [sender] = senderPool.getSenders();
+
+    await assert.rejects(
+      disperse.sendDisperseBatch(
+        sender,
+        ["0x4444444444444444444444444444444444444444"],
+        [parseEther("0.1"), parseEther("0.1")],
+        {}
+      )
+    );
+  });
+});
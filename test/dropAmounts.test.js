@@ -0,0 +1,96 @@
+import { afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseEther } from "viem";
+import { useTestEnvironment } from "./helpers.js";
+
+const ADDRESSES = [
+  "0x1111111111111111111111111111111111111111",
+  "0x2222222222222222222222222222222222222222",
+];
+
+describe("drop amounts", () => {
+  let config;
+  let defaults;
+  let getDropAmounts;
+  let estimateAmountPerDrop;
+  let parseAmount;
+  let parseRewardAmount;
+
+  before(async () => {
+    useTestEnvironment();
+    ({ config } = await import("../src/config.js"));
+    ({ getDropAmounts, estimateAmountPerDrop } = await import(
+      "../src/dropAmounts.js"
+    ));
+    ({ parseAmount, parseRewardAmount } = await import(
+      "../src/rewardAsset.js"
+    ));
+    defaults = { ...config };
+  });
+
+  afterEach(() => {
+    Object.assign(config, defaults);
+  });
+
+  it("converts configured amounts to base units exactly", () => {
+    assert.equal(parseRewardAmount(0.1), 100000000000000000n);
+    assert.equal(parseAmount(0.3, 18), parseEther("0.3"));
+    assert.equal(parseAmount(1e-7, 18), 100000000000n);
+    assert.equal(parseAmount(0.1, 6), 100000n);
+    assert.equal(parseAmount(1.23456789, 6), 1234568n);
+  });
+
+  it("drops amountPerDrop to everyone in 'fixed' strategy", () => {
+    config.amountPerDrop = 0.3;
+
+    assert.deepEqual(getDropAmounts(ADDRESSES), [
+      { to: ADDRESSES[0], amount: parseEther("0.3") },
+      { to: ADDRESSES[1], amount: parseEther("0.3") },
+    ]);
+  });
+
+  it("draws amounts between the bounds in 'random' strategy", (t) => {
+    config.amountStrategy = "random";
+    const draws = [0, 0.9999999999];
+    t.mock.method(Math, "random", () => draws.shift());
+
+    const [low, high] = getDropAmounts(ADDRESSES);
+
+    assert.equal(low.amount, parseEther("0.05"));
+    assert.equal(high.amount, parseEther("0.2"));
+  });
+
+  it("multiplies amountPerDrop for recipients in a lucky tier in 'tiered' strategy", (t) => {
+    config.amountStrategy = "tiered";
+    config.amountTiers = [
+      { chance: 0.1, multiplier: 5 },
+      { chance: 0.2, multiplier: 1.5 },
+    ];
+    const rolls = [0.15, 0.5];
+    t.mock.method(Math, "random", () => rolls.shift());
+
+    assert.deepEqual(getDropAmounts(ADDRESSES), [
+      { to: ADDRESSES[0], amount: parseEther("0.15"), tier: "1.5x" },
+      { to: ADDRESSES[1], amount: parseEther("0.1"), tier: "1x" },
+    ]);
+    assert.equal(
+      estimateAmountPerDrop(),
+      0.1 + 0.1 * 4 * 0.1 + 0.2 * 0.5 * 0.1
+    );
+  });
+
+  it("scales amountPerDrop by activity up to the maximum in 'activity' strategy", () => {
+    config.amountStrategy = "activity";
+    config.activityWeighting = "linear";
+    config.amountActivityMaxMultiplier = 3;
+    const activity = new Map([
+      [ADDRESSES[0].toLowerCase(), { sent: 2, received: 0, blocks: 1 }],
+      [ADDRESSES[1].toLowerCase(), { sent: 10, received: 5, blocks: 3 }],
+    ]);
+
+    assert.deepEqual(getDropAmounts(ADDRESSES, activity), [
+      { to: ADDRESSES[0], amount: parseEther("0.2") },
+      { to: ADDRESSES[1], amount: parseEther("0.3") },
+    ]);
+  });
+});
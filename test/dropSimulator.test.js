@@ -0,0 +1,61 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { useTestEnvironment } from "./helpers.js";
+
+const ADDRESSES = [
+  "0x1111111111111111111111111111111111111111",
+  "0x2222222222222222222222222222222222222222",
+  "0x3333333333333333333333333333333333333333",
+];
+
+describe("drop simulator", () => {
+  let dataDirectory;
+  let modules;
+
+  before(async () => {
+    dataDirectory = useTestEnvironment();
+
+    const { config } = await import("../src/config.js");
+    const dropSimulator = await import("../src/dropSimulator.js");
+    const { initializeSpendBudget } = await import("../src/spendBudget.js");
+
+    // Legacy fees keep the simulation off the RPC
+    Object.assign(config, {
+      dryRun: true,
+      feeMode: "legacy",
+      amountPerDrop: 0.1,
+      hourlySpendCap: 0.25,
+    });
+    initializeSpendBudget();
+
+    const { clearAllScheduledTasks } = await import("../src/timeManager.js");
+    modules = { dropSimulator, clearAllScheduledTasks };
+  });
+
+  after(() => {
+    modules.clearAllScheduledTasks();
+  });
+
+  it("trims and pauses simulated batches at the spend budgets without saving the spend", async () => {
+    const { simulateDrop, buildDryRunReport } = modules.dropSimulator;
+
+    const first = await simulateDrop(ADDRESSES);
+    const second = await simulateDrop(ADDRESSES);
+
+    assert.deepEqual(
+      first.map(({ to }) => to),
+      ADDRESSES.slice(0, 2)
+    );
+    assert.deepEqual(second, []);
+
+    const report = buildDryRunReport();
+    assert.equal(report.drops, 2);
+    assert.equal(report.droppedByBudget, 4);
+    assert.equal(report.budgetPauses.length, 1);
+    assert.match(report.budgetPauses[0].reason, /hourly spend cap reached/);
+    assert.equal(report.batchLog[0].trimmedByBudget, 1);
+    assert.equal(fs.existsSync(path.join(dataDirectory, "budget.json")), false);
+  });
+});
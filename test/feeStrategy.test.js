@@ -0,0 +1,66 @@
+import { afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseGwei } from "viem";
+import { useTestEnvironment } from "./helpers.js";
+
+describe("fee strategy", () => {
+  let config;
+  let defaults;
+  let bumpFees;
+
+  before(async () => {
+    useTestEnvironment();
+    ({ config } = await import("../src/config.js"));
+    ({ bumpFees } = await import("../src/feeStrategy.js"));
+    defaults = { ...config };
+  });
+
+  afterEach(() => {
+    Object.assign(config, defaults);
+  });
+
+  it("bumps every fee by gasBumpPercent", () => {
+    assert.deepEqual(bumpFees({ gasPrice: parseGwei("50") }), {
+      gasPrice: parseGwei("60"),
+    });
+    assert.deepEqual(
+      bumpFees({
+        maxFeePerGas: parseGwei("100"),
+        maxPriorityFeePerGas: parseGwei("2"),
+      }),
+      {
+        maxFeePerGas: parseGwei("120"),
+        maxPriorityFeePerGas: parseGwei("2.4"),
+      }
+    );
+  });
+
+  it("raises a zero or tiny priority fee by at least 1 wei", () => {
+    assert.deepEqual(
+      bumpFees({ maxFeePerGas: parseGwei("100"), maxPriorityFeePerGas: 0n }),
+      { maxFeePerGas: parseGwei("120"), maxPriorityFeePerGas: 1n }
+    );
+    assert.deepEqual(bumpFees({ gasPrice: 3n }), { gasPrice: 4n });
+  });
+
+  it("caps bumped fees at the fee ceiling", () => {
+    assert.deepEqual(
+      bumpFees({
+        maxFeePerGas: parseGwei("190"),
+        maxPriorityFeePerGas: parseGwei("190"),
+      }),
+      { maxFeePerGas: parseGwei("200"), maxPriorityFeePerGas: parseGwei("200") }
+    );
+  });
+
+  it("can't bump fees already at the fee ceiling", () => {
+    assert.equal(bumpFees({ gasPrice: config.feeCeiling }), null);
+    assert.equal(
+      bumpFees({
+        maxFeePerGas: config.feeCeiling,
+        maxPriorityFeePerGas: 0n,
+      }),
+      null
+    );
+  });
+});
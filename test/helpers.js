@@ -0,0 +1,85 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import ganache from "ganache";
+
+// Private keys of the first accounts of ganache's deterministic wallet
+export const TEST_PRIVATE_KEYS = [
+  "0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d",
+  "0x6cbed15c793ce57650b9877cf6fa156fbef513c4e6134f022a85b1ffdd59b2a1",
+];
+
+/**
+ * Start a local ganache chain on a free port
+ *
+ * @returns {Promise<{url: string, wsUrl: string, close: Function}>} Chain endpoints and a function to stop it
+ */
+export async function startChain() {
+  const server = ganache.server({
+    wallet: { deterministic: true },
+    chain: { chainId: 31337 },
+    logging: { quiet: true },
+  });
+
+  await server.listen(0);
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}`,
+    close: () => server.close(),
+  };
+}
+
+/**
+ * Point the config at a local chain and a temporary data directory
+ * Must run before any module that imports the config, since the config is read once on import
+ *
+ * @param {object} [settings] - Extra environment variables to set
+ * @returns {string} Temporary data directory
+ */
+export function useTestEnvironment(settings = {}) {
+  const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "mondrop-test-"));
+
+  Object.assign(process.env, {
+    NETWORK: "local",
+    DATA_DIR: dataDirectory,
+    MONDROP_LOG_LEVEL: "NONE",
+    PRIVATE_KEYS: TEST_PRIVATE_KEYS.join(","),
+    ...settings,
+  });
+
+  return dataDirectory;
+}
+
+/**
+ * Mine a block on a local chain
+ *
+ * @param {string} url - HTTP URL of the chain
+ * @returns {Promise<void>}
+ */
+export async function mineBlock(url) {
+  await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "evm_mine" }),
+  });
+}
+
+/**
+ * Wait until a condition holds, checking every 50ms
+ *
+ * @param {Function} condition - Function returning true once the wait is over
+ * @param {number} [timeoutMs] - How long to wait before failing
+ * @returns {Promise<void>}
+ */
+export async function waitFor(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
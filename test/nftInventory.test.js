@@ -0,0 +1,120 @@
+import { after, afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { startChain, useTestEnvironment } from "./helpers.js";
+
+const OTHER_COLLECTION_KEY =
+  "31337:erc721:0x9999999999999999999999999999999999999999";
+const RECIPIENT = "0x1111111111111111111111111111111111111111";
+
+describe("NFT inventory", () => {
+  let chain;
+  let dataDirectory;
+  let config;
+  let defaults;
+  let collectionAddress;
+  let modules;
+
+  before(async () => {
+    chain = await startChain();
+    dataDirectory = useTestEnvironment({
+      RPC_URL: chain.url,
+      WS_RPC_URL: chain.wsUrl,
+    });
+
+    ({ config } = await import("../src/config.js"));
+    const senderPool = await import("../src/senderPool.js");
+    const { deployDisperseContract } = await import("../src/disperse.js");
+    const rewardAsset = await import("../src/rewardAsset.js");
+    const nftInventory = await import("../src/nftInventory.js");
+
+    // Any deployed contract will do, mints are never sent
+    senderPool.initializeSenderPool();
+    collectionAddress = await deployDisperseContract(
+      senderPool.getSenders()[0]
+    );
+
+    defaults = { ...config };
+    modules = { rewardAsset, nftInventory };
+  });
+
+  afterEach(() => {
+    Object.assign(config, defaults);
+  });
+
+  after(async () => {
+    await chain?.close();
+  });
+
+  /**
+   * Save awards of another collection, then set up the inventory of the test collection
+   *
+   * @param {Array<string|null>} tokenIds - Token IDs awarded in the other collection
+   * @param {object} settings - NFT settings of the test collection
+   * @returns {Promise<void>}
+   */
+  async function switchCollection(tokenIds, settings) {
+    fs.writeFileSync(
+      path.join(dataDirectory, "nft-awards.json"),
+      JSON.stringify({
+        awards: tokenIds.map((tokenId) => ({
+          asset: OTHER_COLLECTION_KEY,
+          to: RECIPIENT,
+          tokenId,
+          amount: "1",
+        })),
+      })
+    );
+
+    Object.assign(config, {
+      rewardAsset: "erc721",
+      rewardTokenAddress: collectionAddress,
+      nftDropMode: "mint",
+      ...settings,
+    });
+
+    await modules.rewardAsset.initializeRewardAsset();
+    await modules.nftInventory.initializeNftInventory();
+  }
+
+  it("doesn't count awards of another collection toward nftMintLimit", async () => {
+    const { nftInventory, rewardAsset } = modules;
+
+    await switchCollection([null, null], {
+      nftMintArgs: ["{recipient}"],
+      nftMintLimit: 2,
+    });
+
+    assert.equal(nftInventory.getNftInventoryStatus().remaining, 2);
+    assert.deepEqual(nftInventory.getNftAwards(), []);
+
+    nftInventory.recordNftAward(
+      { to: RECIPIENT, tokenId: null, value: 1n, minedHash: "0x01", batch: 1 },
+      []
+    );
+
+    assert.equal(nftInventory.getNftInventoryStatus().remaining, 1);
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(dataDirectory, "nft-awards.json"), "utf8")
+    );
+    assert.deepEqual(
+      saved.awards.map((award) => award.asset),
+      [
+        OTHER_COLLECTION_KEY,
+        OTHER_COLLECTION_KEY,
+        rewardAsset.getRewardAssetKey(),
+      ]
+    );
+  });
+
+  it("mints token IDs that were only awarded in another collection", async () => {
+    await switchCollection(["1", "2"], {
+      nftMintFunction: "function mint(address to, uint256 id)",
+      nftMintArgs: ["{recipient}", "{tokenId}"],
+      nftTokenIds: ["1-3"],
+    });
+
+    assert.equal(modules.nftInventory.getNftInventoryStatus().remaining, 3);
+  });
+});
@@ -0,0 +1,77 @@
+import { afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseEther } from "viem";
+import { useTestEnvironment } from "./helpers.js";
+
+const ADDRESSES = [
+  "0x1111111111111111111111111111111111111111",
+  "0x2222222222222222222222222222222222222222",
+  "0x3333333333333333333333333333333333333333",
+  "0x4444444444444444444444444444444444444444",
+];
+
+/**
+ * Build drops of the same amount to the test addresses
+ *
+ * @param {string} amount - Amount per drop in whole units
+ * @returns {Array<{to: string, amount: bigint}>} Drops
+ */
+function dropsOf(amount) {
+  return ADDRESSES.map((to) => ({ to, amount: parseEther(amount) }));
+}
+
+describe("sender pool", () => {
+  let senders;
+  let assignSenders;
+
+  before(async () => {
+    useTestEnvironment();
+    const senderPool = await import("../src/senderPool.js");
+    senderPool.initializeSenderPool();
+    senders = senderPool.getSenders();
+    ({ assignSenders } = senderPool);
+  });
+
+  afterEach(() => {
+    for (const sender of senders) {
+      sender.balance = null;
+    }
+  });
+
+  it("spreads recipients across the wallets in round-robin order", () => {
+    const assignments = assignSenders(dropsOf("0.1"), parseEther("0.001"));
+
+    assert.deepEqual(
+      assignments.map(({ sender }) => sender),
+      [senders[0], senders[1], senders[0], senders[1]]
+    );
+  });
+
+  it("only assigns what a wallet can afford above the minimum balance", () => {
+    senders[0].balance = parseEther("1.25");
+    senders[1].balance = parseEther("1.15");
+
+    const assignments = assignSenders(dropsOf("0.1"), parseEther("0.01"));
+
+    assert.deepEqual(
+      assignments.map(({ sender }) => sender),
+      [senders[0], senders[1], senders[0], null]
+    );
+  });
+
+  it("sends pre-minted NFTs from the wallet holding them", () => {
+    const holder = senders[1].account.address;
+    const recipients = ADDRESSES.slice(0, 2).map((to) => ({
+      to,
+      amount: 1n,
+      holder,
+    }));
+
+    const assignments = assignSenders(recipients, parseEther("0.001"));
+
+    assert.deepEqual(
+      assignments.map(({ sender }) => sender),
+      [senders[1], senders[1]]
+    );
+  });
+});
@@ -0,0 +1,84 @@
+import { afterEach, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseEther } from "viem";
+import { useTestEnvironment } from "./helpers.js";
+
+const ADDRESSES = [
+  "0x1111111111111111111111111111111111111111",
+  "0x2222222222222222222222222222222222222222",
+  "0x3333333333333333333333333333333333333333",
+  "0x4444444444444444444444444444444444444444",
+];
+
+/**
+ * Build drops of the same amount to the test addresses
+ *
+ * @param {string} amount - Amount per drop in whole units
+ * @returns {Array<{to: string, amount: bigint}>} Drops
+ */
+function dropsOf(amount) {
+  return ADDRESSES.map((to) => ({ to, amount: parseEther(amount) }));
+}
+
+describe("spend budget", () => {
+  let config;
+  let defaults;
+  let applySpendBudget;
+  let recordSpend;
+  let getPauseReason;
+  let resumeDrops;
+
+  before(async () => {
+    useTestEnvironment();
+    ({ config } = await import("../src/config.js"));
+    ({ applySpendBudget, recordSpend } = await import("../src/spendBudget.js"));
+    ({ getPauseReason, resumeDrops } = await import("../src/batchManager.js"));
+    defaults = { ...config };
+  });
+
+  afterEach(() => {
+    Object.assign(config, defaults);
+    resumeDrops();
+  });
+
+  it("leaves the batch alone when no budget is configured", () => {
+    const drops = dropsOf("0.3");
+
+    assert.equal(applySpendBudget(drops, parseEther("0.01"), 1), drops);
+  });
+
+  it("trims the batch to the tightest cap, counting gas for native drops", () => {
+    config.hourlySpendCap = 1;
+    config.dailySpendCap = 5;
+
+    const recipients = applySpendBudget(dropsOf("0.3"), parseEther("0.01"), 1);
+
+    assert.deepEqual(
+      recipients.map(({ to }) => to),
+      ADDRESSES.slice(0, 3)
+    );
+    assert.equal(getPauseReason(), null);
+  });
+
+  it("pauses drops when not even one drop fits", () => {
+    config.hourlySpendCap = 0.1;
+
+    assert.deepEqual(applySpendBudget(dropsOf("0.3"), 0n, 1), []);
+    assert.match(
+      getPauseReason(),
+      /^spend budget exhausted: hourly spend cap reached/
+    );
+  });
+
+  it("skips recipients that would go over their lifetime cap", () => {
+    config.recipientLifetimeCap = 0.5;
+
+    recordSpend([{ to: ADDRESSES[0], value: parseEther("0.3") }], 0n);
+    const recipients = applySpendBudget(dropsOf("0.3"), 0n, 2);
+
+    assert.deepEqual(
+      recipients.map(({ to }) => to),
+      ADDRESSES.slice(1)
+    );
+  });
+});